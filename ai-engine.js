@@ -102,7 +102,8 @@ function assessRiskProfile(answers) {
 /**
  * Get AI recommendations based on risk profile and goals
  * @param {Object} riskProfile - Risk profile object
- * @param {Object} goals - Investment goals (optional)
+ * @param {Object} goals - Investment goals (optional); pass goals.emergencyFund
+ *   (from calculateEmergencyFund) to hold back equity advice until it is funded
  * @returns {Object} AI recommendations
  */
 function getAIRecommendations(riskProfile, goals = {}) {
@@ -134,9 +135,36 @@ function getAIRecommendations(riskProfile, goals = {}) {
     baseRecommendations.riskProfile = riskProfile;
     baseRecommendations.summary = generateSummary(riskProfile, goals);
 
+    if (goals.emergencyFund && !goals.emergencyFund.isFunded) {
+        return getEmergencyFundFirstRecommendations(baseRecommendations, goals.emergencyFund);
+    }
+
     return baseRecommendations;
 }
 
+/**
+ * Replace equity advice with emergency fund steps until the fund is in place
+ */
+function getEmergencyFundFirstRecommendations(baseRecommendations, emergencyFund) {
+    return {
+        ...baseRecommendations,
+        summary: `Build your emergency fund before investing in equity. You have ${emergencyFund.coverageMonths} months of expenses set aside against a ${emergencyFund.targetMonths}-month target (${formatCurrency(emergencyFund.targetAmount)}).`,
+        allocation: [
+            `Direct new savings to liquid funds or a sweep-in FD until ${formatCurrency(emergencyFund.targetAmount)} is reached`,
+            'Pause new equity SIPs and lump sums until the emergency fund is fully funded'
+        ],
+        recommendations: [
+            `Start a liquid fund SIP of ${formatCurrency(emergencyFund.monthlySIP)} a month to close the ${formatCurrency(emergencyFund.shortfall)} gap in ${emergencyFund.buildUpMonths} months`,
+            'Keep the emergency fund separate from your investment accounts',
+            'Make sure you have adequate health and term insurance',
+            'Resume your equity plan once the fund covers your target months'
+        ],
+        goalSpecific: undefined,
+        timeHorizonAdjustments: undefined,
+        emergencyFundFirst: true
+    };
+}
+
 /**
  * Get conservative investment recommendations
  */
@@ -228,7 +256,7 @@ function getGoalSpecificRecommendations(goal, riskLevel) {
                 'Start early with long-term SIPs in equity funds',
                 'Increase allocation to debt instruments as retirement approaches',
                 'Consider retirement-focused mutual funds',
-                'Plan for 25-30x annual expenses as retirement corpus',
+                'Plan for 25-30x annual expenses as retirement corpus (the Retirement Planner works out your exact figure)',
                 'Review and adjust strategy every 5 years'
             ],
             timeline: '15-30 years',
@@ -251,7 +279,7 @@ function getGoalSpecificRecommendations(goal, riskLevel) {
                 'Consider debt funds as down payment approaches',
                 'Plan for 20-30% down payment plus additional costs',
                 'Account for real estate price appreciation',
-                'Consider home loan prepayment strategy'
+                'Consider home loan prepayment strategy (compare prepaying with a SIP in the planner)'
             ],
             timeline: '5-10 years',
             corpus: 'Moderate corpus'
@@ -315,17 +343,6 @@ function getTimeHorizonAdjustments(timeHorizon, riskLevel) {
     return adjustments;
 }
 
-/**
- * Get recommended allocation percentages
- */
-function getRecommendedAllocation(riskProfile) {
-    if (!riskProfile || !riskProfile.riskLevel) {
-        return getRecommendedAllocation({ riskLevel: 'Moderate' });
-    }
-
-    return getRecommendedAllocation(riskProfile.riskLevel);
-}
-
 /**
  * Generate AI summary
  */
@@ -422,7 +439,6 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         assessRiskProfile,
         getAIRecommendations,
-        getRecommendedAllocation,
         getMarketInsights,
         getPersonalizedTips
     };
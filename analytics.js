@@ -29,15 +29,24 @@ function processAnalyticsData(portfolios, sipScenarios) {
     });
 
     // Process SIP scenarios
+    let sipTax = 0;
     sipScenarios.forEach(scenario => {
-        const result = calculateSIP(
-            scenario.monthlyAmount,
-            scenario.period,
-            scenario.expectedReturns
-        );
+        const options = {
+            stepUp: scenario.stepUp,
+            frequency: scenario.frequency,
+            timing: scenario.timing,
+            tax: scenario.tax,
+            expenseRatio: scenario.expenseRatio,
+            exitLoad: scenario.exitLoad
+        };
+        const result = scenario.lumpSum > 0
+            ? calculateSIPWithLumpSum(scenario.lumpSum, scenario.monthlyAmount, scenario.period, scenario.expectedReturns, options)
+            : calculateSIP(scenario.monthlyAmount, scenario.period, scenario.expectedReturns, options);
+        // Count what the investor keeps after the expense ratio and exit load, as the comparison chart does
         analytics.totalInvested += result.totalInvested;
-        analytics.totalValue += result.maturityValue;
-        analytics.totalReturns += result.returns;
+        analytics.totalValue += result.netMaturityValue;
+        analytics.totalReturns += result.netMaturityValue - result.totalInvested;
+        sipTax += result.totalTax;
         analytics.sips.push({
             ...scenario,
             result: result
@@ -52,6 +61,7 @@ function processAnalyticsData(portfolios, sipScenarios) {
         averageROI: analytics.totalInvested > 0 
             ? round((analytics.totalReturns / analytics.totalInvested) * 100, 2) 
             : 0,
+        sipTax: round(sipTax, 2),
         portfolioCount: portfolios.length,
         sipCount: sipScenarios.length
     };
@@ -213,6 +223,68 @@ function generateTimeSeriesData(investments, years = 10) {
     };
 }
 
+/**
+ * Aggregate investments across household members
+ * @param {Array} members - Members { profile, portfolios, sipScenarios, riskProfile } (see getHouseholdData)
+ * @returns {Object} Per-member summaries with their share of household value, household totals and combined asset mix
+ */
+function calculateHouseholdSummary(members) {
+    const totals = { totalInvested: 0, totalValue: 0, totalReturns: 0, sipTax: 0, portfolioCount: 0, sipCount: 0 };
+    const assetMix = {};
+
+    const memberSummaries = members.map(member => {
+        const summary = processAnalyticsData(member.portfolios, member.sipScenarios).summary;
+        Object.keys(totals).forEach(key => {
+            totals[key] += summary[key];
+        });
+
+        member.portfolios.forEach(portfolio => {
+            const holdings = getPortfolioHoldings(portfolio);
+            Object.keys(holdings).forEach(assetType => {
+                assetMix[assetType] = (assetMix[assetType] || 0) + holdings[assetType];
+            });
+        });
+
+        return {
+            id: member.profile.id,
+            name: member.profile.name,
+            age: member.profile.dateOfBirth ? calculateAge(parseDateInput(member.profile.dateOfBirth)) : null,
+            riskLevel: member.riskProfile ? member.riskProfile.riskLevel : null,
+            ...summary
+        };
+    });
+
+    memberSummaries.forEach(member => {
+        member.share = totals.totalValue > 0 ? round((member.totalValue / totals.totalValue) * 100, 2) : 0;
+    });
+
+    const assetTotal = Object.values(assetMix).reduce((sum, value) => sum + value, 0);
+
+    return {
+        members: memberSummaries,
+        summary: {
+            totalInvested: round(totals.totalInvested, 2),
+            totalValue: round(totals.totalValue, 2),
+            totalReturns: round(totals.totalReturns, 2),
+            averageROI: totals.totalInvested > 0
+                ? round((totals.totalReturns / totals.totalInvested) * 100, 2)
+                : 0,
+            sipTax: round(totals.sipTax, 2),
+            portfolioCount: totals.portfolioCount,
+            sipCount: totals.sipCount,
+            memberCount: members.length
+        },
+        assetMix: Object.keys(assetMix)
+            .filter(assetType => assetMix[assetType] > 0)
+            .map(assetType => ({
+                assetType: assetType,
+                value: round(assetMix[assetType], 2),
+                percentage: round((assetMix[assetType] / assetTotal) * 100, 2)
+            }))
+            .sort((a, b) => b.value - a.value)
+    };
+}
+
 /**
  * Export analytics report
  * @param {Object} analytics - Analytics data
@@ -226,7 +298,8 @@ function exportAnalyticsReport(analytics) {
     csv += `Total Invested,${formatCurrency(analytics.summary.totalInvested)}\n`;
     csv += `Total Value,${formatCurrency(analytics.summary.totalValue)}\n`;
     csv += `Total Returns,${formatCurrency(analytics.summary.totalReturns)}\n`;
-    csv += `Average ROI,${analytics.summary.averageROI}%\n\n`;
+    csv += `Average ROI,${analytics.summary.averageROI}%\n`;
+    csv += `Tax on SIP Redemptions,${formatCurrency(analytics.summary.sipTax)}\n\n`;
     
     csv += 'Portfolios,\n';
     csv += 'Name,Invested,Value,Returns,ROI%\n';
@@ -235,9 +308,9 @@ function exportAnalyticsReport(analytics) {
     });
     
     csv += '\nSIP Investments,\n';
-    csv += 'Name,Monthly Amount,Period,Returns%,Total Invested,Maturity Value\n';
+    csv += 'Name,Monthly Amount,Period,Returns%,Total Invested,Maturity Value,Cost Drag,Tax,Post-tax Value,Post-tax CAGR%\n';
     analytics.sips.forEach(s => {
-        csv += `${s.name},${s.monthlyAmount},${s.period} years,${s.expectedReturns}%,${s.result.totalInvested},${s.result.maturityValue}\n`;
+        csv += `${s.name},${s.monthlyAmount},${s.period} years,${s.expectedReturns}%,${s.result.totalInvested},${s.result.maturityValue},${s.result.costDrag},${s.result.totalTax},${s.result.postTaxMaturityValue},${s.result.postTaxCAGR}%\n`;
     });
     
     return csv;
@@ -251,6 +324,7 @@ if (typeof module !== 'undefined' && module.exports) {
         generateRiskReturnData,
         calculateAggregateStats,
         generateTimeSeriesData,
+        calculateHouseholdSummary,
         exportAnalyticsReport
     };
 }
@@ -1,5 +1,257 @@
 // SIP Calculator Functions
 
+/**
+ * Normalize step-up settings for an annually increasing SIP
+ * @param {Object} stepUp - Step-up settings { type: 'percentage' | 'amount', value, cap }
+ * @returns {Object|null} Normalized step-up or null when no step-up applies
+ */
+function normalizeStepUp(stepUp) {
+    if (!stepUp || !stepUp.value || stepUp.value <= 0) {
+        return null;
+    }
+
+    const type = stepUp.type || 'percentage';
+    if (type !== 'percentage' && type !== 'amount') {
+        throw new Error('Step-up type must be "percentage" or "amount"');
+    }
+
+    return {
+        type: type,
+        value: stepUp.value,
+        cap: stepUp.cap > 0 ? stepUp.cap : null
+    };
+}
+
+/**
+ * Get the monthly installment for a given year of a step-up SIP
+ * @param {number} monthlyAmount - Starting monthly investment amount
+ * @param {number} yearIndex - Zero-based year of the investment
+ * @param {Object} stepUp - Normalized step-up settings (optional)
+ * @returns {number} Monthly installment for that year
+ */
+function getStepUpInstallment(monthlyAmount, yearIndex, stepUp) {
+    if (!stepUp) {
+        return monthlyAmount;
+    }
+
+    let installment = stepUp.type === 'percentage'
+        ? monthlyAmount * Math.pow(1 + stepUp.value / 100, yearIndex)
+        : monthlyAmount + stepUp.value * yearIndex;
+
+    // The cap limits increases only, it never lowers the starting amount
+    if (stepUp.cap) {
+        installment = Math.max(monthlyAmount, Math.min(installment, stepUp.cap));
+    }
+
+    return installment;
+}
+
+/**
+ * Installments per year for each supported contribution frequency
+ * Daily SIPs only run on market working days.
+ */
+const CONTRIBUTION_FREQUENCIES = {
+    daily: 250,
+    weekly: 52,
+    fortnightly: 26,
+    monthly: 12,
+    quarterly: 4
+};
+
+/**
+ * Normalize how often and when in each period installments are made
+ * @param {Object} options - { frequency: 'daily' | 'weekly' | 'fortnightly' | 'monthly' | 'quarterly', timing: 'beginning' | 'end' }
+ * @returns {Object} { frequency, periodsPerYear, timing } (default: monthly, beginning of period)
+ */
+function normalizeContributionSchedule(options = {}) {
+    const frequency = options.frequency || 'monthly';
+    const timing = options.timing || 'beginning';
+
+    if (!CONTRIBUTION_FREQUENCIES[frequency]) {
+        throw new Error(`Unsupported contribution frequency: ${frequency}`);
+    }
+    if (timing !== 'beginning' && timing !== 'end') {
+        throw new Error('Contribution timing must be "beginning" or "end"');
+    }
+
+    return {
+        frequency: frequency,
+        periodsPerYear: CONTRIBUTION_FREQUENCIES[frequency],
+        timing: timing
+    };
+}
+
+/**
+ * Convert an annual return into the rate earned per contribution period
+ * Annual returns compound monthly (see annualToMonthlyRate); other
+ * frequencies use the equivalent effective rate rather than dividing the
+ * annual figure, so every frequency grows money at the same pace.
+ * @param {number} annualReturns - Annual returns percentage
+ * @param {Object} schedule - Normalized contribution schedule
+ * @returns {number} Rate per period (decimal)
+ */
+function getPeriodicRate(annualReturns, schedule) {
+    const monthlyRate = annualToMonthlyRate(annualReturns);
+    if (schedule.periodsPerYear === 12) {
+        return monthlyRate;
+    }
+    return Math.pow(1 + monthlyRate, 12 / schedule.periodsPerYear) - 1;
+}
+
+/**
+ * Calculate total amount invested over a number of installments
+ * @param {number} monthlyAmount - Starting installment amount
+ * @param {number} months - Number of installments
+ * @param {Object} stepUp - Normalized step-up settings (optional)
+ * @param {number} periodsPerYear - Installments per year (default: 12)
+ * @returns {number} Total invested amount
+ */
+function calculateSIPInvested(monthlyAmount, months, stepUp = null, periodsPerYear = 12) {
+    if (!stepUp) {
+        return monthlyAmount * months;
+    }
+
+    let invested = 0;
+    for (let month = 0; month < months; month++) {
+        invested += getStepUpInstallment(monthlyAmount, Math.floor(month / periodsPerYear), stepUp);
+    }
+    return invested;
+}
+
+/**
+ * Validate an optional inflation rate
+ * @param {number} inflationRate - Expected annual inflation percentage
+ * @returns {number} Inflation rate (0 when not provided)
+ */
+function normalizeInflationRate(inflationRate) {
+    if (!inflationRate) {
+        return 0;
+    }
+    if (inflationRate < 0) {
+        throw new Error('Inflation rate cannot be negative');
+    }
+    return inflationRate;
+}
+
+/**
+ * Validate optional mutual fund costs
+ * @param {number} expenseRatio - Annual expense ratio (TER) percentage
+ * @param {Object} exitLoad - Exit load { rate, months }: rate % charged on units redeemed within `months` of purchase
+ * @returns {Object} { expenseRatio, exitLoad } with exitLoad null when not charged
+ */
+function normalizeFundCosts(expenseRatio, exitLoad) {
+    const ratio = expenseRatio || 0;
+    if (ratio < 0) {
+        throw new Error('Expense ratio cannot be negative');
+    }
+
+    let load = null;
+    if (exitLoad && exitLoad.rate > 0) {
+        if (exitLoad.rate >= 100) {
+            throw new Error('Exit load must be below 100%');
+        }
+        if (!exitLoad.months || exitLoad.months <= 0) {
+            throw new Error('Exit load period must be a positive number of months');
+        }
+        load = { rate: exitLoad.rate, months: exitLoad.months };
+    }
+
+    return { expenseRatio: ratio, exitLoad: load };
+}
+
+/**
+ * Get the return an investor actually receives after the expense ratio
+ * The TER is charged daily against the NAV, so it comes straight off the
+ * fund's gross return.
+ * @param {number} annualReturns - Expected gross annual returns percentage
+ * @param {number} expenseRatio - Annual expense ratio percentage
+ * @returns {number} Net annual returns percentage
+ */
+function getNetAnnualReturns(annualReturns, expenseRatio) {
+    return annualReturns - (expenseRatio || 0);
+}
+
+/**
+ * Convert a return series into monthly rates
+ * Yearly returns are spread evenly over the twelve months of that year,
+ * compounding to the same annual figure.
+ * @param {Object} returnSeries - { frequency: 'monthly' | 'yearly', returns: [percentage, ...] }
+ * @returns {Array} Monthly rates (decimal), one per month
+ */
+function toMonthlyReturnSeries(returnSeries) {
+    if (!returnSeries || !Array.isArray(returnSeries.returns) || returnSeries.returns.length === 0) {
+        throw new Error('Return series must contain at least one return');
+    }
+
+    const frequency = returnSeries.frequency || 'monthly';
+    if (frequency !== 'monthly' && frequency !== 'yearly') {
+        throw new Error('Return series frequency must be "monthly" or "yearly"');
+    }
+
+    if (returnSeries.returns.some(r => typeof r !== 'number' || isNaN(r) || r <= -100)) {
+        throw new Error('Return series contains an invalid return');
+    }
+
+    if (frequency === 'monthly') {
+        return returnSeries.returns.map(r => r / 100);
+    }
+
+    const rates = [];
+    returnSeries.returns.forEach(r => {
+        const monthly = Math.pow(1 + r / 100, 1 / 12) - 1;
+        for (let month = 0; month < 12; month++) {
+            rates.push(monthly);
+        }
+    });
+    return rates;
+}
+
+/**
+ * Get how much one rupee grows to over a number of months
+ * @param {number|Array} monthlyRate - Constant monthly rate, or one rate per month
+ * @param {number} months - Number of months
+ * @returns {number} Growth factor
+ */
+function calculateGrowthFactor(monthlyRate, months) {
+    if (!Array.isArray(monthlyRate)) {
+        return Math.pow(1 + monthlyRate, months);
+    }
+
+    let factor = 1;
+    for (let month = 0; month < months; month++) {
+        factor *= 1 + monthlyRate[month];
+    }
+    return factor;
+}
+
+/**
+ * Express a series of monthly rates as an equivalent constant annual return
+ * Uses the same convention as annualToMonthlyRate (monthly rate × 12).
+ * @param {Array} monthlyRates - Monthly rates (decimal)
+ * @returns {number} Annual returns percentage
+ */
+function getAnnualisedSeriesReturn(monthlyRates) {
+    const factor = calculateGrowthFactor(monthlyRates, monthlyRates.length);
+    return (Math.pow(factor, 1 / monthlyRates.length) - 1) * 12 * 100;
+}
+
+/**
+ * Take the months of a return series that a SIP will use
+ * @param {Object} returnSeries - Return series (see toMonthlyReturnSeries), with an optional startMonth offset
+ * @param {number} months - SIP duration in months
+ * @returns {Array} Monthly rates (decimal) for the SIP period
+ */
+function getReturnSeriesWindow(returnSeries, months) {
+    const rates = toMonthlyReturnSeries(returnSeries);
+    const start = returnSeries.startMonth || 0;
+    const needed = Math.ceil(months);
+
+    if (start + needed > rates.length) {
+        throw new Error(`The return series covers ${Math.max(0, rates.length - start)} months but the SIP runs for ${needed}`);
+    }
+    return rates.slice(start, start + needed);
+}
+
 /**
  * Calculate SIP (Systematic Investment Plan)
  * Formula: FV = P × [((1 + r)^n - 1) / r] × (1 + r)
@@ -7,13 +259,43 @@
  * P = Monthly investment amount
  * r = Monthly interest rate (annual rate / 12)
  * n = Number of months
+ *
+ * With a step-up the installment increases every 12 months, so the value
+ * is built month by month instead of using the closed-form formula.
+ *
+ * Installments can also be daily, weekly, fortnightly or quarterly, and
+ * made at the end of each period (ordinary annuity) instead of the start.
+ * monthlyAmount is then the amount of each installment.
+ *
+ * Real (inflation-adjusted) figures express the maturity value in today's
+ * rupees; realReturns compares that against the nominal amount invested.
+ *
+ * maturityValue is before fund costs. netMaturityValue deducts the expense
+ * ratio from the return and any exit load on the final redemption;
+ * costDrag is the rupee difference between the two.
+ *
+ * Post-tax figures assume the whole SIP is redeemed at maturity, with each
+ * installment taxed on its own holding period (see calculateSIPTax).
+ *
+ * With a return series the constant annualReturns is ignored and each month
+ * earns its own return; annualReturns in the result is then the equivalent
+ * constant return of the months used.
  * 
  * @param {number} monthlyAmount - Monthly investment amount
  * @param {number} years - Investment period in years
  * @param {number} annualReturns - Expected annual returns percentage
+ * @param {Object} options - Optional settings
+ * @param {Object} options.stepUp - Annual step-up { type: 'percentage' | 'amount', value, cap }
+ * @param {number} options.inflationRate - Expected annual inflation percentage
+ * @param {Object} options.tax - Capital gains tax settings { assetClass: 'equity' | 'debt', slabRate, financialYear }
+ * @param {number} options.expenseRatio - Annual expense ratio (TER) percentage
+ * @param {Object} options.exitLoad - Exit load { rate, months }
+ * @param {Object} options.returnSeries - Variable returns { frequency: 'monthly' | 'yearly', returns }
+ * @param {string} options.frequency - Contribution frequency (default: 'monthly')
+ * @param {string} options.timing - 'beginning' (annuity due, default) or 'end' of each period
  * @returns {Object} Calculation results
  */
-function calculateSIP(monthlyAmount, years, annualReturns) {
+function calculateSIP(monthlyAmount, years, annualReturns, options = {}) {
     // Validate inputs
     if (!monthlyAmount || monthlyAmount < 0) {
         throw new Error('Monthly amount must be a positive number');
@@ -21,53 +303,114 @@ function calculateSIP(monthlyAmount, years, annualReturns) {
     if (!years || years < 0) {
         throw new Error('Years must be a positive number');
     }
-    if (!annualReturns || annualReturns < 0) {
+    if (!options.returnSeries && (!annualReturns || annualReturns < 0)) {
         throw new Error('Annual returns must be a positive number');
     }
 
+    const stepUp = normalizeStepUp(options.stepUp);
+    const inflationRate = normalizeInflationRate(options.inflationRate);
+    const schedule = normalizeContributionSchedule(options);
     const months = yearsToMonths(years);
-    const monthlyRate = annualToMonthlyRate(annualReturns);
-    const totalInvested = monthlyAmount * months;
+    const periods = years * schedule.periodsPerYear;
+    const series = options.returnSeries ? getReturnSeriesWindow(options.returnSeries, months) : null;
+    if (series && schedule.frequency !== 'monthly') {
+        throw new Error('Return series can only be used with monthly installments');
+    }
+    if (series) {
+        annualReturns = getAnnualisedSeriesReturn(series);
+    }
+    const periodRate = series || getPeriodicRate(annualReturns, schedule);
+    const totalInvested = calculateSIPInvested(monthlyAmount, periods, stepUp, schedule.periodsPerYear);
 
     // Calculate future value using SIP formula
     // FV = P × [((1 + r)^n - 1) / r] × (1 + r)
-    let futureValue = 0;
-    
-    if (monthlyRate > 0) {
-        const numerator = Math.pow(1 + monthlyRate, months) - 1;
-        futureValue = monthlyAmount * (numerator / monthlyRate) * (1 + monthlyRate);
-    } else {
-        // If rate is 0, it's just the sum of all investments
-        futureValue = totalInvested;
-    }
+    const futureValue = calculateSIPValue(monthlyAmount, periods, periodRate, stepUp, schedule);
 
     const returns = futureValue - totalInvested;
     const returnPercentage = (returns / totalInvested) * 100;
+    const finalInstallment = getStepUpInstallment(monthlyAmount, Math.max(0, Math.ceil(years) - 1), stepUp);
+    const realMaturityValue = adjustForInflation(futureValue, inflationRate, years);
+
+    const costs = normalizeFundCosts(options.expenseRatio, options.exitLoad);
+    const netAnnualReturns = getNetAnnualReturns(annualReturns, costs.expenseRatio);
+    if (!series && netAnnualReturns <= 0) {
+        throw new Error('Expense ratio must be lower than the expected returns');
+    }
+    const netPeriodRate = series
+        ? series.map(rate => rate - annualToMonthlyRate(costs.expenseRatio))
+        : getPeriodicRate(netAnnualReturns, schedule);
+    const valueAfterExpenses = costs.expenseRatio > 0
+        ? calculateSIPValue(monthlyAmount, periods, netPeriodRate, stepUp, schedule)
+        : futureValue;
+    const tax = calculateSIPTax(monthlyAmount, periods, netPeriodRate, stepUp, options.tax, costs.exitLoad, schedule);
+    const netMaturityValue = valueAfterExpenses - tax.exitLoad;
 
     return {
         monthlyAmount: round(monthlyAmount, 2),
         years: years,
         months: months,
         annualReturns: round(annualReturns, 2),
-        monthlyRate: round(monthlyRate, 6),
+        monthlyRate: round(annualToMonthlyRate(annualReturns), 6),
+        frequency: schedule.frequency,
+        timing: schedule.timing,
+        installments: periods,
+        periodRate: round(series ? annualToMonthlyRate(annualReturns) : periodRate, 6),
+        isVariableReturn: !!series,
+        stepUp: stepUp,
+        finalMonthlyAmount: round(finalInstallment, 2),
         totalInvested: round(totalInvested, 2),
         maturityValue: round(futureValue, 2),
         returns: round(returns, 2),
-        returnPercentage: round(returnPercentage, 2)
+        returnPercentage: round(returnPercentage, 2),
+        inflationRate: round(inflationRate, 2),
+        realMaturityValue: round(realMaturityValue, 2),
+        realReturns: round(realMaturityValue - totalInvested, 2),
+        realAnnualReturns: round(calculateRealReturnRate(annualReturns, inflationRate), 2),
+        expenseRatio: round(costs.expenseRatio, 2),
+        exitLoad: costs.exitLoad,
+        netAnnualReturns: round(netAnnualReturns, 2),
+        netMaturityValue: round(netMaturityValue, 2),
+        expenseDrag: round(futureValue - valueAfterExpenses, 2),
+        exitLoadAmount: tax.exitLoad,
+        costDrag: round(futureValue - netMaturityValue, 2),
+        tax: tax,
+        totalTax: tax.totalTax,
+        postTaxMaturityValue: tax.postTaxValue,
+        postTaxReturns: round(tax.postTaxValue - totalInvested, 2),
+        postTaxCAGR: tax.postTaxCAGR
     };
 }
 
 /**
  * Calculate SIP value at a specific point in time
- * @param {number} monthlyAmount - Monthly investment amount
- * @param {number} months - Number of months invested
- * @param {number} monthlyRate - Monthly interest rate
+ * @param {number} monthlyAmount - Installment amount
+ * @param {number} months - Number of installments made
+ * @param {number|Array} monthlyRate - Rate per period, or one rate per period for variable returns
+ * @param {Object} stepUp - Normalized step-up settings (optional)
+ * @param {Object} schedule - Normalized contribution schedule (default: monthly, beginning of period)
  * @returns {number} Current value
  */
-function calculateSIPValue(monthlyAmount, months, monthlyRate) {
+function calculateSIPValue(monthlyAmount, months, monthlyRate, stepUp = null, schedule = null) {
+    const periodsPerYear = schedule ? schedule.periodsPerYear : 12;
+    const investAtEnd = schedule ? schedule.timing === 'end' : false;
+
+    if (stepUp || Array.isArray(monthlyRate)) {
+        // Installments go in at the start of each period unless timing is 'end'
+        let value = 0;
+        for (let month = 0; month < months; month++) {
+            const installment = getStepUpInstallment(monthlyAmount, Math.floor(month / periodsPerYear), stepUp);
+            const rate = Array.isArray(monthlyRate) ? monthlyRate[month] : monthlyRate;
+            value = investAtEnd
+                ? value * (1 + rate) + installment
+                : (value + installment) * (1 + rate);
+        }
+        return value;
+    }
+
     if (monthlyRate > 0) {
         const numerator = Math.pow(1 + monthlyRate, months) - 1;
-        return monthlyAmount * (numerator / monthlyRate) * (1 + monthlyRate);
+        const timingFactor = investAtEnd ? 1 : 1 + monthlyRate;
+        return monthlyAmount * (numerator / monthlyRate) * timingFactor;
     }
     return monthlyAmount * months;
 }
@@ -77,27 +420,41 @@ function calculateSIPValue(monthlyAmount, months, monthlyRate) {
  * @param {number} monthlyAmount - Monthly investment amount
  * @param {number} years - Total years
  * @param {number} annualReturns - Annual returns percentage
+ * @param {Object} options - Optional settings (see calculateSIP)
+ * @param {number} options.lumpSum - Initial investment made alongside the first installment (default: 0)
  * @returns {Array} Year-wise data
  */
-function calculateYearlyGrowth(monthlyAmount, years, annualReturns) {
-    const monthlyRate = annualToMonthlyRate(annualReturns);
+function calculateYearlyGrowth(monthlyAmount, years, annualReturns, options = {}) {
+    const stepUp = normalizeStepUp(options.stepUp);
+    const inflationRate = normalizeInflationRate(options.inflationRate);
+    const schedule = normalizeContributionSchedule(options);
+    const periodRate = getPeriodicRate(annualReturns, schedule);
+    const lumpSum = options.lumpSum || 0;
     const yearlyData = [];
 
     for (let year = 1; year <= years; year++) {
-        const months = year * 12;
-        const invested = monthlyAmount * 12;
-        const totalInvested = monthlyAmount * months;
-        const currentValue = calculateSIPValue(monthlyAmount, months, monthlyRate);
+        const periods = year * schedule.periodsPerYear;
+        const monthlyInstallment = getStepUpInstallment(monthlyAmount, year - 1, stepUp);
+        const invested = monthlyInstallment * schedule.periodsPerYear + (year === 1 ? lumpSum : 0);
+        const totalInvested = calculateSIPInvested(monthlyAmount, periods, stepUp, schedule.periodsPerYear) + lumpSum;
+        const sipValue = calculateSIPValue(monthlyAmount, periods, periodRate, stepUp, schedule);
+        const lumpSumValue = calculateInitialInvestmentValue(lumpSum, year * 12, annualReturns);
+        const currentValue = sipValue + lumpSumValue;
         const returns = currentValue - totalInvested;
         const returnPercentage = totalInvested > 0 ? (returns / totalInvested) * 100 : 0;
+        const realValue = adjustForInflation(currentValue, inflationRate, year);
 
         yearlyData.push({
             year: year,
+            monthlyInstallment: round(monthlyInstallment, 2),
             invested: round(invested, 2),
             totalInvested: round(totalInvested, 2),
+            sipValue: round(sipValue, 2),
+            lumpSumValue: round(lumpSumValue, 2),
             currentValue: round(currentValue, 2),
             returns: round(returns, 2),
-            returnPercentage: round(returnPercentage, 2)
+            returnPercentage: round(returnPercentage, 2),
+            realValue: round(realValue, 2)
         });
     }
 
@@ -106,15 +463,24 @@ function calculateYearlyGrowth(monthlyAmount, years, annualReturns) {
 
 /**
  * Calculate SIP for multiple scenarios (comparison)
- * @param {Array} scenarios - Array of SIP scenarios
+ * @param {Array} scenarios - SIP scenarios { monthlyAmount, period, expectedReturns, ... } (see normalizeSIPScenario)
  * @returns {Array} Array of calculation results
  */
 function calculateMultipleSIPs(scenarios) {
     return scenarios.map(scenario => {
         const result = calculateSIP(
-            scenario.amount || scenario.monthlyAmount,
-            scenario.period || scenario.years,
-            scenario.returns || scenario.expectedReturns
+            scenario.monthlyAmount,
+            scenario.period,
+            scenario.expectedReturns,
+            {
+                stepUp: scenario.stepUp,
+                inflationRate: scenario.inflationRate,
+                tax: scenario.tax,
+                expenseRatio: scenario.expenseRatio,
+                exitLoad: scenario.exitLoad,
+                frequency: scenario.frequency,
+                timing: scenario.timing
+            }
         );
         return {
             name: scenario.name || 'SIP ' + scenarios.indexOf(scenario) + 1,
@@ -129,106 +495,380 @@ function calculateMultipleSIPs(scenarios) {
  * @param {number} years - Total years
  * @param {number} annualReturns - Annual returns percentage
  * @param {number} interval - Data point interval in months (default: 6)
- * @returns {Object} Chart data with labels and values
+ * @param {Object} options - Optional settings (see calculateSIP), including returnSeries
+ * @param {number} options.lumpSum - Initial investment made alongside the first installment (default: 0)
+ * @returns {Object} Chart data with labels and values, including today's-rupee values
  */
-function calculateSIPProjections(monthlyAmount, years, annualReturns, interval = 6) {
-    const monthlyRate = annualToMonthlyRate(annualReturns);
+function calculateSIPProjections(monthlyAmount, years, annualReturns, interval = 6, options = {}) {
+    const stepUp = normalizeStepUp(options.stepUp);
+    const inflationRate = normalizeInflationRate(options.inflationRate);
+    const schedule = normalizeContributionSchedule(options);
     const totalMonths = yearsToMonths(years);
+    if (options.returnSeries && schedule.frequency !== 'monthly') {
+        throw new Error('Return series can only be used with monthly installments');
+    }
+    const periodRate = options.returnSeries
+        ? getReturnSeriesWindow(options.returnSeries, totalMonths)
+        : getPeriodicRate(annualReturns, schedule);
+    const periodsPerMonth = schedule.periodsPerYear / 12;
+    const lumpSum = options.lumpSum || 0;
+    // The initial investment grows as a lump sum, or along the same historical path as the installments
+    const lumpSumValueAt = month => {
+        if (lumpSum <= 0) return 0;
+        return Array.isArray(periodRate)
+            ? lumpSum * calculateGrowthFactor(periodRate, month)
+            : calculateInitialInvestmentValue(lumpSum, month, annualReturns);
+    };
     const labels = [];
     const investedValues = [];
     const maturityValues = [];
     const returnValues = [];
+    const realValues = [];
 
     for (let month = interval; month <= totalMonths; month += interval) {
         const year = (month / 12).toFixed(1);
         labels.push(`Year ${year}`);
         
-        const totalInvested = monthlyAmount * month;
-        const currentValue = calculateSIPValue(monthlyAmount, month, monthlyRate);
+        const periods = month * periodsPerMonth;
+        const totalInvested = calculateSIPInvested(monthlyAmount, periods, stepUp, schedule.periodsPerYear) + lumpSum;
+        const currentValue = calculateSIPValue(monthlyAmount, periods, periodRate, stepUp, schedule) + lumpSumValueAt(month);
         const returns = currentValue - totalInvested;
 
         investedValues.push(round(totalInvested, 2));
         maturityValues.push(round(currentValue, 2));
         returnValues.push(round(returns, 2));
+        realValues.push(round(adjustForInflation(currentValue, inflationRate, month / 12), 2));
     }
 
     // Add final point if not already included
     if (totalMonths % interval !== 0) {
         labels.push(`Year ${years}`);
-        const totalInvested = monthlyAmount * totalMonths;
-        const currentValue = calculateSIPValue(monthlyAmount, totalMonths, monthlyRate);
+        const periods = totalMonths * periodsPerMonth;
+        const totalInvested = calculateSIPInvested(monthlyAmount, periods, stepUp, schedule.periodsPerYear) + lumpSum;
+        const currentValue = calculateSIPValue(monthlyAmount, periods, periodRate, stepUp, schedule) + lumpSumValueAt(totalMonths);
         const returns = currentValue - totalInvested;
         investedValues.push(round(totalInvested, 2));
         maturityValues.push(round(currentValue, 2));
         returnValues.push(round(returns, 2));
+        realValues.push(round(adjustForInflation(currentValue, inflationRate, years), 2));
     }
 
     return {
         labels: labels,
         invested: investedValues,
         maturity: maturityValues,
-        returns: returnValues
+        returns: returnValues,
+        real: realValues
     };
 }
 
 /**
  * Calculate required monthly SIP to reach target amount
+ * With a step-up this is the starting installment that, increased every
+ * year, reaches the target. With another frequency it is the amount of
+ * each installment. An existing corpus (options.lumpSum) keeps growing
+ * and only the rest of the target has to come from the SIP.
  * @param {number} targetAmount - Target maturity amount
  * @param {number} years - Investment period in years
  * @param {number} annualReturns - Expected annual returns percentage
- * @returns {number} Required monthly SIP amount
+ * @param {Object} options - Optional settings (see calculateSIP)
+ * @param {number} options.lumpSum - Corpus already invested at the start (default: 0)
+ * @returns {number} Required monthly SIP amount (0 when the corpus alone reaches the target)
  */
-function calculateRequiredSIP(targetAmount, years, annualReturns) {
-    const months = yearsToMonths(years);
-    const monthlyRate = annualToMonthlyRate(annualReturns);
+function calculateRequiredSIP(targetAmount, years, annualReturns, options = {}) {
+    if (options.lumpSum > 0) {
+        const gap = targetAmount - calculateInitialInvestmentValue(options.lumpSum, yearsToMonths(years), annualReturns);
+        if (gap <= 0) {
+            return 0;
+        }
+        targetAmount = gap;
+    }
 
-    if (monthlyRate > 0) {
-        const numerator = Math.pow(1 + monthlyRate, months) - 1;
-        const denominator = (numerator / monthlyRate) * (1 + monthlyRate);
-        return round(targetAmount / denominator, 2);
+    const stepUp = normalizeStepUp(options.stepUp);
+    const schedule = normalizeContributionSchedule(options);
+    const periods = years * schedule.periodsPerYear;
+    const periodRate = getPeriodicRate(annualReturns, schedule);
+
+    if (stepUp) {
+        // Value grows monotonically with the starting amount, so bisect on it
+        let low = 0;
+        let high = targetAmount;
+        for (let i = 0; i < 100; i++) {
+            const mid = (low + high) / 2;
+            if (calculateSIPValue(mid, periods, periodRate, stepUp, schedule) < targetAmount) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return round(high, 2);
     }
-    
-    // If rate is 0, just divide target by months
-    return round(targetAmount / months, 2);
+
+    // Value is proportional to the installment, so divide by the value of ₹1 per period
+    // (this is just target / periods when the rate is 0)
+    return round(targetAmount / calculateSIPValue(1, periods, periodRate, null, schedule), 2);
 }
 
 /**
  * Calculate time required to reach target with given SIP
- * @param {number} monthlyAmount - Monthly investment amount
+ * A stepped-up SIP has no closed form, so the period is goal-sought
+ * to the first installment that reaches the target.
+ * @param {number} monthlyAmount - Monthly investment amount (or installment amount for other frequencies)
  * @param {number} targetAmount - Target maturity amount
  * @param {number} annualReturns - Expected annual returns percentage
+ * @param {Object} options - Optional settings { frequency, timing, stepUp } (see calculateSIP)
  * @returns {number} Required years
  */
-function calculateRequiredTime(monthlyAmount, targetAmount, annualReturns) {
-    const monthlyRate = annualToMonthlyRate(annualReturns);
+function calculateRequiredTime(monthlyAmount, targetAmount, annualReturns, options = {}) {
+    const stepUp = normalizeStepUp(options.stepUp);
+    const schedule = normalizeContributionSchedule(options);
+    const periodRate = getPeriodicRate(annualReturns, schedule);
+
+    if (stepUp) {
+        const result = goalSeek(periods => calculateSIPValue(monthlyAmount, periods, periodRate, stepUp, schedule), targetAmount, {
+            low: 1,
+            high: 30 * schedule.periodsPerYear,
+            maxHigh: 100 * schedule.periodsPerYear,
+            tolerance: 0.5
+        });
+        if (result.status === 'out-of-reach') {
+            throw new Error(`The target of ${formatCurrency(targetAmount)} is not reached within 100 years`);
+        }
+        // The value only changes once per installment, so round up to a whole one
+        return round(Math.ceil(result.value) / schedule.periodsPerYear, 2);
+    }
     
-    if (monthlyRate > 0) {
+    if (periodRate > 0) {
         // Rearranging the SIP formula to solve for n
         // FV = P × [((1 + r)^n - 1) / r] × (1 + r)
         // Solving for n requires iterative approach or logarithms
         
         // Using approximation: n ≈ log((FV × r / P) + 1) / log(1 + r)
-        const ratio = (targetAmount * monthlyRate) / (monthlyAmount * (1 + monthlyRate)) + 1;
-        const months = Math.log(ratio) / Math.log(1 + monthlyRate);
-        return round(months / 12, 2);
+        // (the trailing (1 + r) drops out when installments are made at period end)
+        const timingFactor = schedule.timing === 'end' ? 1 : 1 + periodRate;
+        const ratio = (targetAmount * periodRate) / (monthlyAmount * timingFactor) + 1;
+        const periods = Math.log(ratio) / Math.log(1 + periodRate);
+        return round(periods / schedule.periodsPerYear, 2);
     }
     
-    // If rate is 0, just divide target by monthly amount
-    return round(targetAmount / (monthlyAmount * 12), 2);
+    // If rate is 0, just divide target by the yearly contribution
+    return round(targetAmount / (monthlyAmount * schedule.periodsPerYear), 2);
+}
+
+/**
+ * Scenario event types for a SIP timeline
+ * pause: no installments from date to endDate (inclusive)
+ * skip: no installment in that month
+ * topup: one-time extra investment of amount in that month
+ * amount-change: the installment becomes amount from that month on
+ */
+const SCENARIO_EVENT_TYPES = {
+    pause: 'Pause',
+    skip: 'Skipped installment',
+    topup: 'Top-up',
+    'amount-change': 'Amount change'
+};
+
+/**
+ * Get the zero-based installment month of a date, counted from the SIP start
+ * @param {string|Date} startDate - Date of the first installment
+ * @param {string|Date} date - Date to place on the timeline
+ * @returns {number} Month index (0 = month of the first installment)
+ */
+function getTimelineMonth(startDate, date) {
+    const start = parseDateInput(startDate);
+    const d = parseDateInput(date);
+    return (d.getFullYear() - start.getFullYear()) * 12 + d.getMonth() - start.getMonth();
+}
+
+/**
+ * Validate scenario events and place them on the SIP's month timeline
+ * @param {Array} events - Events { type, date, endDate, amount }
+ * @param {string|Date} startDate - Date of the first installment
+ * @returns {Array} Events with month (and endMonth for pauses), sorted by month
+ */
+function normalizeScenarioEvents(events, startDate) {
+    if (!events || events.length === 0) {
+        return [];
+    }
+    if (!startDate) {
+        throw new Error('A start date is required to place events on the timeline');
+    }
+
+    return events.map(event => {
+        if (!SCENARIO_EVENT_TYPES[event.type]) {
+            throw new Error(`Unknown event type: ${event.type}`);
+        }
+        if (!event.date || isNaN(parseDateInput(event.date).getTime())) {
+            throw new Error(`${SCENARIO_EVENT_TYPES[event.type]} needs a valid date`);
+        }
+
+        const month = getTimelineMonth(startDate, event.date);
+        if (month < 0) {
+            throw new Error(`${SCENARIO_EVENT_TYPES[event.type]} on ${formatDate(event.date)} is before the SIP start date`);
+        }
+
+        const normalized = { type: event.type, date: event.date, month: month };
+
+        if (event.type === 'pause') {
+            const endDate = event.endDate || event.date;
+            const endMonth = getTimelineMonth(startDate, endDate);
+            if (endMonth < month) {
+                throw new Error('A pause must end on or after the date it starts');
+            }
+            normalized.endDate = endDate;
+            normalized.endMonth = endMonth;
+        }
+
+        if (event.type === 'topup' || event.type === 'amount-change') {
+            if (typeof event.amount !== 'number' || isNaN(event.amount) || event.amount < 0 ||
+                (event.type === 'topup' && event.amount === 0)) {
+                throw new Error(`${SCENARIO_EVENT_TYPES[event.type]} on ${formatDate(event.date)} needs a valid amount`);
+            }
+            normalized.amount = event.amount;
+        }
+
+        return normalized;
+    }).sort((a, b) => a.month - b.month);
+}
+
+/**
+ * Simulate a SIP month by month over a timeline of events
+ * Installments are invested at the start of each month. The step-up (if
+ * any) is applied on every anniversary of the start date to whatever the
+ * installment is at that point, including after an amount change.
+ * @param {number} monthlyAmount - Starting monthly investment amount
+ * @param {number} years - Investment period in years
+ * @param {number} annualReturns - Expected annual returns percentage
+ * @param {string|Date} startDate - Date of the first installment
+ * @param {Array} events - Events { type, date, endDate, amount } (see SCENARIO_EVENT_TYPES)
+ * @param {Object} options - Optional settings { stepUp, inflationRate }
+ * @returns {Object} Month-by-month schedule, chart projections and totals compared with an uninterrupted SIP
+ */
+function simulateSIPTimeline(monthlyAmount, years, annualReturns, startDate, events = [], options = {}) {
+    if (!monthlyAmount || monthlyAmount < 0) {
+        throw new Error('Monthly amount must be a positive number');
+    }
+    if (!years || years < 0) {
+        throw new Error('Years must be a positive number');
+    }
+
+    const stepUp = normalizeStepUp(options.stepUp);
+    const inflationRate = normalizeInflationRate(options.inflationRate);
+    const timeline = normalizeScenarioEvents(events, startDate);
+    const start = parseDateInput(startDate || new Date());
+    const months = Math.ceil(yearsToMonths(years));
+    const monthlyRate = annualToMonthlyRate(annualReturns);
+
+    const schedule = [];
+    let installment = monthlyAmount;
+    let value = 0;
+    let totalInvested = 0;
+    let missedInstallments = 0;
+    let totalTopUps = 0;
+
+    for (let month = 0; month < months; month++) {
+        if (stepUp && month > 0 && month % 12 === 0) {
+            const stepped = stepUp.type === 'percentage'
+                ? installment * (1 + stepUp.value / 100)
+                : installment + stepUp.value;
+            installment = stepUp.cap ? Math.max(installment, Math.min(stepped, stepUp.cap)) : stepped;
+        }
+
+        const monthEvents = timeline.filter(e => e.month === month ||
+            (e.type === 'pause' && e.month <= month && e.endMonth >= month));
+
+        monthEvents.filter(e => e.type === 'amount-change' && e.month === month)
+            .forEach(e => { installment = e.amount; });
+
+        const paused = monthEvents.some(e => e.type === 'pause');
+        const skipped = monthEvents.some(e => e.type === 'skip');
+        const topUp = monthEvents
+            .filter(e => e.type === 'topup')
+            .reduce((sum, e) => sum + e.amount, 0);
+        const invested = paused || skipped ? 0 : installment;
+
+        if (paused || skipped) missedInstallments++;
+        totalTopUps += topUp;
+        totalInvested += invested + topUp;
+        value = (value + invested + topUp) * (1 + monthlyRate);
+
+        // Keep the installment day within shorter months (e.g. 31st -> 28th)
+        const daysInMonth = new Date(start.getFullYear(), start.getMonth() + month + 1, 0).getDate();
+        const date = new Date(start.getFullYear(), start.getMonth() + month, Math.min(start.getDate(), daysInMonth));
+        schedule.push({
+            month: month + 1,
+            date: toDateInputValue(date),
+            label: date.toLocaleDateString('en-IN', { month: 'short', year: 'numeric' }),
+            status: paused ? 'paused' : skipped ? 'skipped' : 'active',
+            installment: round(invested, 2),
+            topUp: round(topUp, 2),
+            totalInvested: round(totalInvested, 2),
+            value: round(value, 2),
+            realValue: round(adjustForInflation(value, inflationRate, (month + 1) / 12), 2)
+        });
+    }
+
+    // Event markers for the growth chart, one per event that falls within the SIP
+    const markers = timeline
+        .filter(e => e.month < months)
+        .map(e => ({
+            index: e.month,
+            type: e.type,
+            label: e.type === 'pause'
+                ? `${SCENARIO_EVENT_TYPES.pause} until ${formatDate(e.endDate)}`
+                : e.amount !== undefined
+                    ? `${SCENARIO_EVENT_TYPES[e.type]}: ${formatCurrency(e.amount)}`
+                    : SCENARIO_EVENT_TYPES[e.type]
+        }));
+
+    const uninterrupted = calculateSIPValue(monthlyAmount, months, monthlyRate, stepUp);
+    const returns = value - totalInvested;
+
+    return {
+        monthlyAmount: round(monthlyAmount, 2),
+        years: years,
+        annualReturns: round(annualReturns, 2),
+        startDate: toDateInputValue(start),
+        events: timeline,
+        schedule: schedule,
+        projections: {
+            labels: schedule.map(m => m.label),
+            invested: schedule.map(m => m.totalInvested),
+            maturity: schedule.map(m => m.value),
+            real: schedule.map(m => m.realValue),
+            markers: markers
+        },
+        totalInvested: round(totalInvested, 2),
+        maturityValue: round(value, 2),
+        returns: round(returns, 2),
+        returnPercentage: totalInvested > 0 ? round((returns / totalInvested) * 100, 2) : 0,
+        realMaturityValue: round(adjustForInflation(value, inflationRate, years), 2),
+        missedInstallments: missedInstallments,
+        totalTopUps: round(totalTopUps, 2),
+        uninterruptedValue: round(uninterrupted, 2),
+        differenceFromPlan: round(value - uninterrupted, 2)
+    };
 }
 
 /**
  * Calculate lump sum investment returns
+ * Lump sums compound yearly at the annual rate (fractional years pro rata), here and in
+ * calculateInitialInvestmentValue, so a corpus grows the same in every calculator.
  * @param {number} principal - Initial investment amount
  * @param {number} years - Investment period in years
  * @param {number} annualReturns - Expected annual returns percentage
+ * @param {Object} options - Optional settings
+ * @param {number} options.inflationRate - Expected annual inflation percentage
  * @returns {Object} Calculation results
  */
-function calculateLumpSum(principal, years, annualReturns) {
+function calculateLumpSum(principal, years, annualReturns, options = {}) {
+    const inflationRate = normalizeInflationRate(options.inflationRate);
     const annualRate = annualReturns / 100;
     const futureValue = principal * Math.pow(1 + annualRate, years);
     const returns = futureValue - principal;
     const returnPercentage = (returns / principal) * 100;
+    const realMaturityValue = adjustForInflation(futureValue, inflationRate, years);
 
     return {
         principal: round(principal, 2),
@@ -236,7 +876,11 @@ function calculateLumpSum(principal, years, annualReturns) {
         annualReturns: round(annualReturns, 2),
         maturityValue: round(futureValue, 2),
         returns: round(returns, 2),
-        returnPercentage: round(returnPercentage, 2)
+        returnPercentage: round(returnPercentage, 2),
+        inflationRate: round(inflationRate, 2),
+        realMaturityValue: round(realMaturityValue, 2),
+        realReturns: round(realMaturityValue - principal, 2),
+        realAnnualReturns: round(calculateRealReturnRate(annualReturns, inflationRate), 2)
     };
 }
 
@@ -266,9 +910,880 @@ function compareSIPvsLumpSum(monthlySIP, lumpSumAmount, years, annualReturns) {
     };
 }
 
+/**
+ * Value of an initial investment combined with a SIP
+ * Compounds yearly at the annual rate, like calculateLumpSum.
+ * @param {number} principal - Initial investment
+ * @param {number} months - Months invested
+ * @param {number} annualReturns - Expected annual returns percentage
+ * @returns {number} Value after the given months
+ */
+function calculateInitialInvestmentValue(principal, months, annualReturns) {
+    if (!principal || principal <= 0) {
+        return 0;
+    }
+    return principal * Math.pow(1 + annualReturns / 100, months / 12);
+}
+
+/**
+ * Calculate an initial investment plus a monthly SIP in the same fund
+ * The initial amount goes in with the first installment and grows as a lump
+ * sum (see calculateLumpSum); the SIP runs as in calculateSIP (step-up, frequency,
+ * timing). sip keeps the SIP part's own cost and tax breakdown; the combined
+ * net and post-tax figures also charge the lump sum the expense ratio and
+ * exit load, and tax its gain as one more lot alongside the installments.
+ * @param {number} lumpSum - Initial investment (existing corpus)
+ * @param {number} monthlyAmount - Monthly investment amount
+ * @param {number} years - Investment period in years
+ * @param {number} annualReturns - Expected annual returns percentage
+ * @param {Object} options - Optional settings (see calculateSIP, except returnSeries)
+ * @returns {Object} Combined results with a merged yearly breakdown and chart projections
+ */
+function calculateSIPWithLumpSum(lumpSum, monthlyAmount, years, annualReturns, options = {}) {
+    if (typeof lumpSum !== 'number' || isNaN(lumpSum) || lumpSum < 0) {
+        throw new Error('Initial investment cannot be negative');
+    }
+    if (options.returnSeries) {
+        throw new Error('Return series cannot be combined with an initial investment');
+    }
+
+    const sip = calculateSIP(monthlyAmount, years, annualReturns, options);
+    const lumpSumValue = calculateInitialInvestmentValue(lumpSum, sip.months, annualReturns);
+    const totalInvested = sip.totalInvested + lumpSum;
+    const maturityValue = sip.maturityValue + lumpSumValue;
+    const returns = maturityValue - totalInvested;
+    const realMaturityValue = adjustForInflation(maturityValue, sip.inflationRate, years);
+
+    const costs = normalizeFundCosts(options.expenseRatio, options.exitLoad);
+    const lumpSumValueAfterExpenses = calculateInitialInvestmentValue(lumpSum, sip.months, sip.netAnnualReturns);
+    const lumpSumExitLoad = costs.exitLoad && sip.months <= costs.exitLoad.months
+        ? lumpSumValueAfterExpenses * costs.exitLoad.rate / 100
+        : 0;
+    const netMaturityValue = sip.netMaturityValue + lumpSumValueAfterExpenses - lumpSumExitLoad;
+    const taxSettings = normalizeTaxOptions(options.tax);
+    const tax = calculateCapitalGainsTax([
+        { term: 'short', gain: sip.tax.shortTermGains },
+        { term: 'long', gain: sip.tax.longTermGains },
+        {
+            term: sip.months > taxSettings.rules.longTermMonths ? 'long' : 'short',
+            gain: lumpSumValueAfterExpenses - lumpSumExitLoad - lumpSum
+        }
+    ], options.tax);
+    const postTaxMaturityValue = netMaturityValue - tax.totalTax;
+
+    // Post-tax annual return on the lump sum and every installment, worked out like calculateSIPTax does for the SIP alone
+    const schedule = normalizeContributionSchedule(options);
+    const lots = createSIPLots(monthlyAmount, sip.installments, 0, sip.stepUp, schedule);
+    const periodIRR = solveForRate(r => lots.reduce((npv, lot) => {
+        return npv - lot.amount / Math.pow(1 + r, lot.period);
+    }, postTaxMaturityValue / Math.pow(1 + r, sip.installments) - lumpSum));
+    const monthlyIRR = Math.pow(1 + periodIRR, schedule.periodsPerYear / 12) - 1;
+
+    const growthOptions = {
+        lumpSum: lumpSum,
+        stepUp: sip.stepUp,
+        inflationRate: sip.inflationRate,
+        frequency: sip.frequency,
+        timing: sip.timing
+    };
+
+    return {
+        lumpSum: round(lumpSum, 2),
+        monthlyAmount: sip.monthlyAmount,
+        years: years,
+        months: sip.months,
+        annualReturns: sip.annualReturns,
+        frequency: sip.frequency,
+        timing: sip.timing,
+        stepUp: sip.stepUp,
+        finalMonthlyAmount: sip.finalMonthlyAmount,
+        lumpSumValue: round(lumpSumValue, 2),
+        sipInvested: sip.totalInvested,
+        sipValue: sip.maturityValue,
+        totalInvested: round(totalInvested, 2),
+        maturityValue: round(maturityValue, 2),
+        returns: round(returns, 2),
+        returnPercentage: round((returns / totalInvested) * 100, 2),
+        inflationRate: sip.inflationRate,
+        realMaturityValue: round(realMaturityValue, 2),
+        realReturns: round(realMaturityValue - totalInvested, 2),
+        realAnnualReturns: sip.realAnnualReturns,
+        expenseRatio: sip.expenseRatio,
+        netAnnualReturns: sip.netAnnualReturns,
+        netMaturityValue: round(netMaturityValue, 2),
+        costDrag: round(maturityValue - netMaturityValue, 2),
+        tax: tax,
+        totalTax: tax.totalTax,
+        postTaxMaturityValue: round(postTaxMaturityValue, 2),
+        postTaxReturns: round(postTaxMaturityValue - totalInvested, 2),
+        postTaxCAGR: round(monthlyIRR * 12 * 100, 2),
+        sip: sip,
+        yearly: calculateYearlyGrowth(monthlyAmount, years, annualReturns, growthOptions),
+        projections: calculateSIPProjections(monthlyAmount, years, annualReturns, 6, growthOptions)
+    };
+}
+
+/**
+ * Calculate Systematic Withdrawal Plan (SWP) from an existing corpus
+ * Each month the withdrawal is taken at the start of the month and the
+ * remaining balance earns the monthly return.
+ * @param {number} corpus - Starting corpus
+ * @param {number} monthlyWithdrawal - Initial monthly withdrawal amount
+ * @param {number} annualReturns - Expected annual returns percentage
+ * @param {Object} options - Optional settings
+ * @param {number} options.annualIncrease - Yearly increase in withdrawal percentage
+ * @param {number} options.years - Maximum years to simulate (default: 50)
+ * @returns {Object} SWP results with month-by-month schedule
+ */
+function calculateSWP(corpus, monthlyWithdrawal, annualReturns, options = {}) {
+    if (!corpus || corpus < 0) {
+        throw new Error('Corpus must be a positive number');
+    }
+    if (!monthlyWithdrawal || monthlyWithdrawal < 0) {
+        throw new Error('Monthly withdrawal must be a positive number');
+    }
+    if (annualReturns < 0) {
+        throw new Error('Annual returns cannot be negative');
+    }
+
+    const annualIncrease = options.annualIncrease || 0;
+    const maxMonths = yearsToMonths(options.years || 50);
+    const monthlyRate = annualToMonthlyRate(annualReturns || 0);
+    const schedule = [];
+    let balance = corpus;
+    let totalWithdrawn = 0;
+    let depletionMonth = null;
+
+    for (let month = 1; month <= maxMonths; month++) {
+        const plannedWithdrawal = monthlyWithdrawal * Math.pow(1 + annualIncrease / 100, Math.floor((month - 1) / 12));
+        const withdrawal = Math.min(plannedWithdrawal, balance);
+        const openingBalance = balance;
+
+        balance -= withdrawal;
+        const returns = balance * monthlyRate;
+        balance += returns;
+        totalWithdrawn += withdrawal;
+
+        schedule.push({
+            month: month,
+            openingBalance: round(openingBalance, 2),
+            withdrawal: round(withdrawal, 2),
+            returns: round(returns, 2),
+            closingBalance: round(balance, 2)
+        });
+
+        if (withdrawal < plannedWithdrawal || balance <= 0) {
+            depletionMonth = month;
+            break;
+        }
+    }
+
+    // A level withdrawal of B × r / (1 + r) leaves the balance unchanged every month
+    const perpetualWithdrawal = corpus * monthlyRate / (1 + monthlyRate);
+    const lastsForever = depletionMonth === null && annualIncrease === 0 && monthlyWithdrawal <= perpetualWithdrawal;
+
+    return {
+        corpus: round(corpus, 2),
+        monthlyWithdrawal: round(monthlyWithdrawal, 2),
+        annualReturns: round(annualReturns || 0, 2),
+        annualIncrease: round(annualIncrease, 2),
+        schedule: schedule,
+        depletionMonth: depletionMonth,
+        depletionYears: depletionMonth ? round(depletionMonth / 12, 2) : null,
+        lastsForever: lastsForever,
+        perpetualWithdrawal: round(perpetualWithdrawal, 2),
+        perpetualWithdrawalRate: round((perpetualWithdrawal * 12 / corpus) * 100, 2),
+        withdrawalRate: round((monthlyWithdrawal * 12 / corpus) * 100, 2),
+        totalWithdrawn: round(totalWithdrawn, 2),
+        finalBalance: round(balance, 2)
+    };
+}
+
+/**
+ * Summarize an SWP schedule year by year (for tables and charts)
+ * @param {Array} schedule - Monthly schedule from calculateSWP
+ * @returns {Array} Year-wise data
+ */
+function calculateSWPYearly(schedule) {
+    const yearlyData = [];
+    let totalWithdrawn = 0;
+
+    for (let start = 0; start < schedule.length; start += 12) {
+        const months = schedule.slice(start, start + 12);
+        const withdrawn = months.reduce((sum, m) => sum + m.withdrawal, 0);
+        const returns = months.reduce((sum, m) => sum + m.returns, 0);
+        totalWithdrawn += withdrawn;
+
+        yearlyData.push({
+            year: start / 12 + 1,
+            monthlyWithdrawal: months[0].withdrawal,
+            withdrawn: round(withdrawn, 2),
+            totalWithdrawn: round(totalWithdrawn, 2),
+            returns: round(returns, 2),
+            closingBalance: months[months.length - 1].closingBalance
+        });
+    }
+
+    return yearlyData;
+}
+
+/**
+ * Calculate Systematic Transfer Plan (STP) from a debt fund into an equity fund
+ * The lump sum is parked in the debt fund and moved into equity at the start
+ * of each month, either as a fixed amount or as the gains the debt fund has
+ * earned above the original principal (capital appreciation).
+ * @param {number} lumpSum - Amount parked in the debt fund
+ * @param {number} years - Total investment period in years
+ * @param {number} debtReturns - Expected annual returns of the debt fund percentage
+ * @param {number} equityReturns - Expected annual returns of the equity fund percentage
+ * @param {Object} options - Optional settings
+ * @param {string} options.transferType - 'fixed' (default) or 'appreciation'
+ * @param {number} options.transferMonths - Number of months to transfer (default: 12 for fixed, full period for appreciation)
+ * @param {number} options.monthlyTransfer - Fixed monthly transfer (default: lump sum / transfer months)
+ * @returns {Object} STP results with month-by-month balances and comparison
+ */
+function calculateSTP(lumpSum, years, debtReturns, equityReturns, options = {}) {
+    if (!lumpSum || lumpSum < 0) {
+        throw new Error('Lump sum must be a positive number');
+    }
+    if (!years || years < 0) {
+        throw new Error('Years must be a positive number');
+    }
+    if (debtReturns < 0 || equityReturns < 0) {
+        throw new Error('Annual returns cannot be negative');
+    }
+    // The SIP and lump-sum alternatives it is compared with need a positive equity return
+    if (!equityReturns) {
+        throw new Error('Equity fund returns must be a positive number');
+    }
+
+    const transferType = options.transferType || 'fixed';
+    if (transferType !== 'fixed' && transferType !== 'appreciation') {
+        throw new Error('Transfer type must be "fixed" or "appreciation"');
+    }
+
+    const totalMonths = yearsToMonths(years);
+    const transferMonths = Math.min(
+        totalMonths,
+        options.transferMonths || (transferType === 'fixed' ? 12 : totalMonths)
+    );
+    const monthlyTransfer = options.monthlyTransfer || lumpSum / transferMonths;
+    const debtRate = annualToMonthlyRate(debtReturns);
+    const equityRate = annualToMonthlyRate(equityReturns);
+    const schedule = [];
+    let debtBalance = lumpSum;
+    let equityBalance = 0;
+    let totalTransferred = 0;
+
+    for (let month = 1; month <= totalMonths; month++) {
+        let transfer = 0;
+        if (month <= transferMonths) {
+            transfer = transferType === 'fixed'
+                ? Math.min(monthlyTransfer, debtBalance)
+                : Math.max(0, debtBalance - lumpSum);
+        }
+
+        debtBalance = (debtBalance - transfer) * (1 + debtRate);
+        equityBalance = (equityBalance + transfer) * (1 + equityRate);
+        totalTransferred += transfer;
+
+        schedule.push({
+            month: month,
+            transfer: round(transfer, 2),
+            debtBalance: round(debtBalance, 2),
+            equityBalance: round(equityBalance, 2),
+            totalValue: round(debtBalance + equityBalance, 2)
+        });
+    }
+
+    const maturityValue = debtBalance + equityBalance;
+    const returns = maturityValue - lumpSum;
+
+    // Compare against investing the lump sum directly in equity, or spreading it as a SIP
+    const alternatives = compareSIPvsLumpSum(lumpSum / totalMonths, lumpSum, years, equityReturns);
+    const outcomes = {
+        STP: maturityValue,
+        'Lump Sum': alternatives.lumpSum.maturityValue,
+        SIP: alternatives.sip.maturityValue
+    };
+    const winner = Object.keys(outcomes).reduce((best, key) => outcomes[key] > outcomes[best] ? key : best);
+
+    return {
+        lumpSum: round(lumpSum, 2),
+        years: years,
+        debtReturns: round(debtReturns, 2),
+        equityReturns: round(equityReturns, 2),
+        transferType: transferType,
+        transferMonths: transferMonths,
+        monthlyTransfer: transferType === 'fixed' ? round(monthlyTransfer, 2) : null,
+        schedule: schedule,
+        totalTransferred: round(totalTransferred, 2),
+        debtBalance: round(debtBalance, 2),
+        equityBalance: round(equityBalance, 2),
+        maturityValue: round(maturityValue, 2),
+        returns: round(returns, 2),
+        returnPercentage: round((returns / lumpSum) * 100, 2),
+        comparison: {
+            stpMaturity: round(maturityValue, 2),
+            lumpSumMaturity: alternatives.lumpSum.maturityValue,
+            sipMaturity: alternatives.sip.maturityValue,
+            sipMonthlyAmount: round(lumpSum / totalMonths, 2),
+            winner: winner
+        }
+    };
+}
+
+/**
+ * Inputs the goal-seek solver can back out
+ * low/high is the first bracket searched; the upper end is doubled up to
+ * maxHigh while the target is still out of reach.
+ */
+const GOAL_SEEK_INPUTS = {
+    amount: { label: 'Installment amount', unit: 'currency', low: 1, high: 100000, maxHigh: 1e10, tolerance: 0.001 },
+    lumpSum: { label: 'Lump sum', unit: 'currency', low: 1, high: 1000000, maxHigh: 1e12, tolerance: 0.001 },
+    returns: { label: 'Annual returns', unit: 'percentage', low: 0.01, high: 30, maxHigh: 100, tolerance: 1e-6 },
+    years: { label: 'Investment period', unit: 'years', low: 1 / 12, high: 30, maxHigh: 100, tolerance: 1e-6 },
+    stepUp: { label: 'Annual step-up', unit: 'percentage', low: 0, high: 20, maxHigh: 100, tolerance: 1e-6 }
+};
+
+/**
+ * Calculation modes the goal-seek solver supports
+ * sip: SIP of amount for years, plus an optional starting lumpSum, stepped up by stepUp % a year
+ * lumpsum: lumpSum invested for years
+ * swp: withdrawals of amount from a corpus of lumpSum, raised by stepUp % a year;
+ *      the outcome is the balance left after years, less any withdrawals it could not pay
+ * stp: lumpSum moved from a debt fund earning debtReturns into equity earning returns
+ */
+const GOAL_SEEK_MODES = {
+    sip: { label: 'SIP', unknowns: ['amount', 'lumpSum', 'returns', 'years', 'stepUp'], required: ['amount', 'returns', 'years'], decreasing: [], labels: {} },
+    lumpsum: { label: 'Lump sum', unknowns: ['lumpSum', 'returns', 'years'], required: ['lumpSum', 'returns', 'years'], decreasing: [], labels: {} },
+    swp: {
+        label: 'SWP',
+        unknowns: ['amount', 'lumpSum', 'returns', 'stepUp'],
+        required: ['amount', 'lumpSum', 'returns', 'years'],
+        decreasing: ['amount', 'stepUp'],
+        labels: { amount: 'Monthly withdrawal', lumpSum: 'Corpus', stepUp: 'Annual withdrawal increase' }
+    },
+    stp: {
+        label: 'STP',
+        unknowns: ['lumpSum', 'returns', 'years'],
+        required: ['lumpSum', 'returns', 'debtReturns', 'years'],
+        decreasing: [],
+        labels: { returns: 'Equity fund returns' }
+    }
+};
+
+/**
+ * Find the input at which a monotonic function reaches a target
+ * Checks the lower end first, widens the upper end until the target is
+ * inside the bracket, then bisects. The returned value is on the side of
+ * the crossing where the outcome is at least the target.
+ * @param {Function} valueAt - Function returning the outcome for an input value
+ * @param {number} target - Outcome to reach
+ * @param {Object} options - Search settings
+ * @param {number} options.low - Lowest input value to try
+ * @param {number} options.high - First upper end of the bracket
+ * @param {number} options.maxHigh - Largest input value to try (default: high)
+ * @param {boolean} options.decreasing - The outcome falls as the input rises (default: false)
+ * @param {number} options.tolerance - Stop once the bracket is narrower than this (default: 1e-6)
+ * @param {number} options.maxIterations - Maximum bisection steps (default: 200)
+ * @returns {Object} Status ('solved', 'met-at-low' or 'out-of-reach'), value, outcome and bracket details
+ */
+function goalSeek(valueAt, target, options = {}) {
+    const tolerance = options.tolerance || 1e-6;
+    const maxIterations = options.maxIterations || 200;
+    const maxHigh = Math.max(options.high, options.maxHigh || options.high);
+    // Meeting the target means reaching it from below, or falling to it for a decreasing outcome
+    const meets = value => options.decreasing ? value <= target : value >= target;
+
+    let low = options.low;
+    let high = options.high;
+    const lowValue = valueAt(low);
+    if (meets(lowValue)) {
+        return { status: 'met-at-low', value: low, achieved: lowValue, iterations: 0, expansions: 0, converged: false, bracket: { low: low, high: low } };
+    }
+
+    let highValue = valueAt(high);
+    let expansions = 0;
+    while (!meets(highValue)) {
+        if (high >= maxHigh) {
+            return { status: 'out-of-reach', value: high, achieved: highValue, iterations: 0, expansions: expansions, converged: false, bracket: { low: low, high: high } };
+        }
+        low = high;
+        high = Math.min(high * 2, maxHigh);
+        highValue = valueAt(high);
+        expansions++;
+    }
+
+    let iterations = 0;
+    while (high - low > tolerance && iterations < maxIterations) {
+        const mid = (low + high) / 2;
+        if (meets(valueAt(mid))) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+        iterations++;
+    }
+
+    const value = options.decreasing ? low : high;
+    return {
+        status: 'solved',
+        value: value,
+        achieved: valueAt(value),
+        iterations: iterations,
+        expansions: expansions,
+        converged: high - low <= tolerance,
+        bracket: { low: low, high: high }
+    };
+}
+
+/**
+ * Format a goal-seek input for messages
+ * @param {string} unknown - Input key (see GOAL_SEEK_INPUTS)
+ * @param {number} value - Input value
+ * @returns {string} Formatted value
+ */
+function formatGoalSeekInput(unknown, value) {
+    const unit = GOAL_SEEK_INPUTS[unknown].unit;
+    if (unit === 'currency') return formatCurrency(value);
+    if (unit === 'percentage') return formatPercentage(value);
+    return `${round(value, 2)} years`;
+}
+
+/**
+ * Work out the outcome of a calculation mode for a set of inputs
+ * @param {string} mode - Calculation mode (see GOAL_SEEK_MODES)
+ * @param {Object} inputs - Inputs { amount, lumpSum, returns, years, stepUp, debtReturns }
+ * @param {Object} options - Settings passed on to the calculator (see solveCalculatorInput)
+ * @returns {number} Outcome the target is compared with
+ */
+function getGoalSeekOutcome(mode, inputs, options = {}) {
+    const metric = options.metric || 'maturityValue';
+
+    if (mode === 'sip') {
+        const stepUp = inputs.stepUp > 0
+            ? { type: 'percentage', value: inputs.stepUp, cap: options.stepUpCap }
+            : null;
+        return calculateSIPWithLumpSum(inputs.lumpSum || 0, inputs.amount, inputs.years, inputs.returns, { ...options, stepUp: stepUp })[metric];
+    }
+    if (mode === 'lumpsum') {
+        return calculateLumpSum(inputs.lumpSum, inputs.years, inputs.returns, { inflationRate: options.inflationRate })[metric];
+    }
+    if (mode === 'swp') {
+        const annualIncrease = inputs.stepUp || 0;
+        const swp = calculateSWP(inputs.lumpSum, inputs.amount, inputs.returns, {
+            annualIncrease: annualIncrease,
+            years: inputs.years
+        });
+        // A corpus that runs out early scores the withdrawals it missed, so the outcome keeps falling
+        let planned = 0;
+        for (let month = 1; month <= yearsToMonths(inputs.years); month++) {
+            planned += inputs.amount * Math.pow(1 + annualIncrease / 100, Math.floor((month - 1) / 12));
+        }
+        return swp.finalBalance - Math.max(0, planned - swp.totalWithdrawn);
+    }
+    return calculateSTP(inputs.lumpSum, inputs.years, inputs.debtReturns, inputs.returns, {
+        transferType: options.transferType,
+        transferMonths: options.transferMonths
+    }).maturityValue;
+}
+
+/**
+ * Back out any single input of a calculator so its outcome reaches a target
+ * Every other input is held at the given value. The outcome is the
+ * maturity value (or the balance left, for an SWP).
+ * @param {string} mode - 'sip', 'lumpsum', 'swp' or 'stp' (see GOAL_SEEK_MODES)
+ * @param {string} unknown - Input to solve for: 'amount', 'lumpSum', 'returns', 'years' or 'stepUp'
+ * @param {number} target - Outcome to reach
+ * @param {Object} inputs - Known inputs { amount, lumpSum, returns, years, stepUp, debtReturns }
+ * @param {Object} options - Optional settings
+ * @param {string} options.metric - 'maturityValue' (default) or 'realMaturityValue' for the sip and lumpsum modes
+ * @param {number} options.stepUpCap - Maximum monthly installment for a stepped-up SIP
+ * @param {string} options.transferType - STP transfer type (see calculateSTP)
+ * @param {number} options.transferMonths - STP transfer period in months (see calculateSTP)
+ * @returns {Object} Solved value, outcome reached and convergence details
+ * (other options such as frequency, timing, expenseRatio and inflationRate go to calculateSIP)
+ */
+function solveCalculatorInput(mode, unknown, target, inputs = {}, options = {}) {
+    const config = GOAL_SEEK_MODES[mode];
+    if (!config) {
+        throw new Error(`Unknown calculation mode: ${mode}`);
+    }
+    if (!config.unknowns.includes(unknown)) {
+        throw new Error(`${GOAL_SEEK_INPUTS[unknown] ? GOAL_SEEK_INPUTS[unknown].label : unknown} cannot be solved for in ${config.label} mode`);
+    }
+    if (typeof target !== 'number' || isNaN(target) || target < 0 || (target === 0 && mode !== 'swp')) {
+        throw new Error('Target must be a positive number');
+    }
+    if (options.metric && options.metric !== 'maturityValue' && options.metric !== 'realMaturityValue') {
+        throw new Error('Metric must be "maturityValue" or "realMaturityValue"');
+    }
+    config.required.filter(key => key !== unknown).forEach(key => {
+        if (typeof inputs[key] !== 'number' || isNaN(inputs[key])) {
+            throw new Error(`${GOAL_SEEK_INPUTS[key] ? GOAL_SEEK_INPUTS[key].label : 'Debt fund returns'} is required for ${config.label} mode`);
+        }
+    });
+
+    const input = GOAL_SEEK_INPUTS[unknown];
+    const label = config.labels[unknown] || input.label;
+    // The expense ratio comes off the return, so the search starts above it
+    const low = unknown === 'returns' && mode === 'sip' && options.expenseRatio > 0
+        ? options.expenseRatio + input.low
+        : input.low;
+    const result = goalSeek(value => getGoalSeekOutcome(mode, { ...inputs, [unknown]: value }, options), target, {
+        low: low,
+        high: Math.max(input.high, low),
+        maxHigh: input.maxHigh,
+        tolerance: input.tolerance,
+        decreasing: config.decreasing.includes(unknown)
+    });
+
+    // A decreasing outcome (SWP withdrawals) has to stay at or above the target instead
+    const name = label.toLowerCase();
+    const lowest = formatGoalSeekInput(unknown, low);
+    const highest = formatGoalSeekInput(unknown, input.maxHigh);
+    if (result.status === 'met-at-low') {
+        throw new Error(config.decreasing.includes(unknown)
+            ? `The target of ${formatCurrency(target)} cannot be reached: even with the ${name} at ${lowest} the outcome is only ${formatCurrency(result.achieved)}`
+            : `The target of ${formatCurrency(target)} is already reached with the ${name} at ${lowest} (${formatCurrency(result.achieved)})`);
+    }
+    if (result.status === 'out-of-reach') {
+        throw new Error(config.decreasing.includes(unknown)
+            ? `The target of ${formatCurrency(target)} is met at any ${name}: even at ${highest} the outcome is ${formatCurrency(result.achieved)}`
+            : `The target of ${formatCurrency(target)} cannot be reached: with the ${name} at ${highest} the outcome is only ${formatCurrency(result.achieved)}`);
+    }
+
+    let value = result.value;
+    let achieved = result.achieved;
+    if (unknown === 'years') {
+        // Installments fall on whole months, so round the period up to the next one
+        value = Math.ceil(round(yearsToMonths(value), 6)) / 12;
+        achieved = getGoalSeekOutcome(mode, { ...inputs, years: value }, options);
+    }
+
+    return {
+        mode: mode,
+        unknown: unknown,
+        label: label,
+        target: round(target, 2),
+        value: round(value, 2),
+        months: unknown === 'years' ? Math.round(yearsToMonths(value)) : null,
+        achieved: round(achieved, 2),
+        difference: round(achieved - target, 2),
+        inputs: { ...inputs, [unknown]: value },
+        iterations: result.iterations,
+        expansions: result.expansions,
+        converged: result.converged,
+        bracket: { low: result.bracket.low, high: result.bracket.high }
+    };
+}
+
+/**
+ * Find the rate at which a net present value function crosses zero
+ * Brackets the root first, then bisects, which is slower than Newton's
+ * method but never diverges on irregular cash flows.
+ * @param {Function} npvAtRate - Function returning NPV for a periodic rate (decimal)
+ * @returns {number} Rate as a decimal
+ */
+function solveForRate(npvAtRate) {
+    let low = -0.9999;
+    let high = 1;
+
+    while (npvAtRate(low) * npvAtRate(high) > 0) {
+        high *= 2;
+        if (high > 1e6) {
+            throw new Error('Unable to find a return rate for these cash flows');
+        }
+    }
+
+    for (let i = 0; i < 200; i++) {
+        const mid = (low + high) / 2;
+        if (npvAtRate(low) * npvAtRate(mid) <= 0) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+        if (high - low < 1e-10) break;
+    }
+
+    return (low + high) / 2;
+}
+
+/**
+ * Validate and sort dated cash flows
+ * @param {Array} cashFlows - Array of { date, amount } (negative = investment, positive = redemption/value)
+ * @returns {Array} Cash flows sorted by date with Date objects
+ */
+function normalizeCashFlows(cashFlows) {
+    if (!Array.isArray(cashFlows) || cashFlows.length < 2) {
+        throw new Error('At least two cash flows are required');
+    }
+
+    const flows = cashFlows.map(flow => {
+        const date = parseDateInput(flow.date);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid cash flow date: ${flow.date}`);
+        }
+        if (typeof flow.amount !== 'number' || isNaN(flow.amount)) {
+            throw new Error('Cash flow amounts must be numbers');
+        }
+        return { date: date, amount: flow.amount };
+    }).sort((a, b) => a.date - b.date);
+
+    if (!flows.some(f => f.amount < 0) || !flows.some(f => f.amount > 0)) {
+        throw new Error('Cash flows must include at least one investment and one redemption or current value');
+    }
+
+    return flows;
+}
+
+/**
+ * Calculate XIRR (annualised return on irregular, dated cash flows)
+ * Solves: Σ amount / (1 + rate)^(days / 365) = 0
+ * @param {Array} cashFlows - Array of { date, amount } (negative = investment, positive = redemption/value)
+ * @returns {number} Annualised return percentage
+ */
+function calculateXIRR(cashFlows) {
+    const flows = normalizeCashFlows(cashFlows);
+    const startDate = flows[0].date;
+    const msPerYear = 365 * 24 * 60 * 60 * 1000;
+
+    const rate = solveForRate(r => flows.reduce((npv, flow) => {
+        const years = (flow.date - startDate) / msPerYear;
+        return npv + flow.amount / Math.pow(1 + r, years);
+    }, 0));
+
+    return round(rate * 100, 2);
+}
+
+/**
+ * Calculate IRR for evenly spaced cash flows
+ * @param {Array} amounts - Cash flow per period (negative = investment)
+ * @param {number} periodsPerYear - Periods in a year, used to annualise (default: 1)
+ * @returns {number} Annualised return percentage
+ */
+function calculateIRR(amounts, periodsPerYear = 1) {
+    if (!amounts.some(a => a < 0) || !amounts.some(a => a > 0)) {
+        throw new Error('Cash flows must include at least one investment and one redemption or current value');
+    }
+
+    const rate = solveForRate(r => amounts.reduce((npv, amount, period) => {
+        return npv + amount / Math.pow(1 + r, period);
+    }, 0));
+
+    return round((Math.pow(1 + rate, periodsPerYear) - 1) * 100, 2);
+}
+
+/**
+ * Generate monthly SIP installments from a start date
+ * @param {string|Date} startDate - First installment date
+ * @param {number} monthlyAmount - Installment amount
+ * @param {string|Date} endDate - Last date to include (default: today)
+ * @returns {Array} Transactions { date, amount, type }
+ */
+function generateSIPInstallments(startDate, monthlyAmount, endDate = new Date()) {
+    const start = parseDateInput(startDate);
+    const end = parseDateInput(endDate);
+    const transactions = [];
+
+    for (let i = 0; ; i++) {
+        // Keep the installment day within shorter months (e.g. 31st -> 28th)
+        const daysInMonth = new Date(start.getFullYear(), start.getMonth() + i + 1, 0).getDate();
+        const date = new Date(start.getFullYear(), start.getMonth() + i, Math.min(start.getDate(), daysInMonth));
+        if (date > end) break;
+        transactions.push({
+            date: toDateInputValue(date),
+            amount: monthlyAmount,
+            type: 'installment'
+        });
+    }
+
+    return transactions;
+}
+
+/**
+ * Analyze an actual SIP history and compare it with the hypothetical SIP
+ * @param {Array} transactions - Array of { date, amount, type: 'installment' | 'topup' | 'redemption' }
+ * @param {number} currentValue - Current value of the holding
+ * @param {string|Date} valuationDate - Date of the current value (default: today)
+ * @param {number} expectedReturns - Expected annual returns percentage for the hypothetical SIP
+ * @returns {Object} Actual vs hypothetical results
+ */
+function analyzeSIPHistory(transactions, currentValue, valuationDate = new Date(), expectedReturns = 0) {
+    const cashFlows = transactions.map(t => ({
+        date: t.date,
+        amount: t.type === 'redemption' ? Math.abs(t.amount) : -Math.abs(t.amount)
+    }));
+    cashFlows.push({ date: valuationDate, amount: currentValue });
+
+    const xirr = calculateXIRR(cashFlows);
+    const investments = transactions.filter(t => t.type !== 'redemption');
+    const totalInvested = investments.reduce((sum, t) => sum + Math.abs(t.amount), 0);
+    const totalRedeemed = transactions
+        .filter(t => t.type === 'redemption')
+        .reduce((sum, t) => sum + Math.abs(t.amount), 0);
+    const gain = currentValue + totalRedeemed - totalInvested;
+
+    // Hypothetical: the same money as an even monthly SIP at the expected return
+    const firstDate = new Date(Math.min(...investments.map(t => parseDateInput(t.date).getTime())));
+    const end = parseDateInput(valuationDate);
+    const months = Math.max(1, (end.getFullYear() - firstDate.getFullYear()) * 12 + end.getMonth() - firstDate.getMonth());
+    const averageInstallment = totalInvested / months;
+    const hypotheticalValue = calculateSIPValue(averageInstallment, months, annualToMonthlyRate(expectedReturns));
+
+    return {
+        xirr: xirr,
+        totalInvested: round(totalInvested, 2),
+        totalRedeemed: round(totalRedeemed, 2),
+        currentValue: round(currentValue, 2),
+        gain: round(gain, 2),
+        installmentCount: investments.length,
+        months: months,
+        expectedReturns: round(expectedReturns, 2),
+        hypotheticalValue: round(hypotheticalValue, 2),
+        difference: round(xirr - expectedReturns, 2)
+    };
+}
+
+/**
+ * Parse a return series from CSV text
+ * The first column header decides the frequency: "year" for yearly returns,
+ * "month" for monthly returns (e.g. 2015-01). Lines starting with # are ignored.
+ * @param {string} text - CSV with a header row and label,return% rows
+ * @returns {Object} { frequency, labels, returns }
+ */
+function parseReturnSeriesCSV(text) {
+    const lines = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+
+    if (lines.length < 2) {
+        throw new Error('The CSV needs a header row and at least one return');
+    }
+
+    const header = lines[0].split(',').map(cell => cell.trim().toLowerCase());
+    if (header[0] !== 'year' && header[0] !== 'month') {
+        throw new Error('The first column must be "year" or "month"');
+    }
+
+    const labels = [];
+    const returns = [];
+    lines.slice(1).forEach((line, index) => {
+        const cells = line.split(',').map(cell => cell.trim());
+        const value = parseFloat(cells[1]);
+        if (cells.length < 2 || isNaN(value)) {
+            throw new Error(`Invalid return on line ${index + 2}: "${line}"`);
+        }
+        labels.push(cells[0]);
+        returns.push(value);
+    });
+
+    return {
+        frequency: header[0] === 'year' ? 'yearly' : 'monthly',
+        labels: labels,
+        returns: returns
+    };
+}
+
+/**
+ * Backtest a SIP over every rolling start window of a return series
+ * Yearly series roll one year at a time, monthly series one month at a time.
+ * Each window's return is the SIP's XIRR (effective annual).
+ * @param {number} monthlyAmount - Monthly investment amount
+ * @param {number} years - SIP duration in years
+ * @param {Object} returnSeries - { frequency, labels, returns } (see parseReturnSeriesCSV)
+ * @param {Object} options - Optional settings { stepUp, bucketSize = 2 }
+ * @returns {Object} Windows, best/worst/median windows, percentiles and return distribution
+ */
+function backtestSIP(monthlyAmount, years, returnSeries, options = {}) {
+    if (!monthlyAmount || monthlyAmount < 0) {
+        throw new Error('Monthly amount must be a positive number');
+    }
+    if (!years || years < 0) {
+        throw new Error('Years must be a positive number');
+    }
+
+    const stepUp = normalizeStepUp(options.stepUp);
+    const rates = toMonthlyReturnSeries(returnSeries);
+    const months = Math.ceil(yearsToMonths(years));
+    if (rates.length < months) {
+        throw new Error(`The return series covers ${rates.length} months but the SIP runs for ${months}`);
+    }
+
+    const stepMonths = returnSeries.frequency === 'yearly' ? 12 : 1;
+    const labels = returnSeries.labels || [];
+    const totalInvested = calculateSIPInvested(monthlyAmount, months, stepUp);
+    const installments = [];
+    for (let month = 0; month < months; month++) {
+        installments.push(getStepUpInstallment(monthlyAmount, Math.floor(month / 12), stepUp));
+    }
+
+    const windows = [];
+    for (let start = 0; start + months <= rates.length; start += stepMonths) {
+        const windowRates = rates.slice(start, start + months);
+        const value = calculateSIPValue(monthlyAmount, months, windowRates, stepUp);
+        const monthlyIRR = solveForRate(r => installments.reduce((npv, amount, month) => {
+            return npv - amount / Math.pow(1 + r, month);
+        }, value / Math.pow(1 + r, months)));
+
+        windows.push({
+            start: labels[start / stepMonths] || `Month ${start + 1}`,
+            totalInvested: round(totalInvested, 2),
+            maturityValue: round(value, 2),
+            annualReturn: round((Math.pow(1 + monthlyIRR, 12) - 1) * 100, 2)
+        });
+    }
+
+    const sorted = [...windows].sort((a, b) => a.annualReturn - b.annualReturn);
+    const sortedReturns = sorted.map(w => w.annualReturn);
+
+    // Distribution of window returns in fixed-width buckets
+    const bucketSize = options.bucketSize || 2;
+    const firstBucket = Math.floor(sortedReturns[0] / bucketSize) * bucketSize;
+    const distribution = [];
+    for (let from = firstBucket; from <= sortedReturns[sortedReturns.length - 1]; from += bucketSize) {
+        distribution.push({
+            from: from,
+            to: from + bucketSize,
+            count: sortedReturns.filter(r => r >= from && r < from + bucketSize).length
+        });
+    }
+
+    return {
+        monthlyAmount: round(monthlyAmount, 2),
+        years: years,
+        windowCount: windows.length,
+        windows: windows,
+        best: sorted[sorted.length - 1],
+        worst: sorted[0],
+        median: sorted[Math.floor((sorted.length - 1) / 2)],
+        percentiles: {
+            p10: round(calculatePercentile(sortedReturns, 10), 2),
+            p50: round(calculatePercentile(sortedReturns, 50), 2),
+            p90: round(calculatePercentile(sortedReturns, 90), 2)
+        },
+        negativeWindows: windows.filter(w => w.maturityValue < w.totalInvested).length,
+        distribution: distribution
+    };
+}
+
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        normalizeStepUp,
+        normalizeInflationRate,
+        normalizeFundCosts,
+        CONTRIBUTION_FREQUENCIES,
+        normalizeContributionSchedule,
+        getPeriodicRate,
+        getNetAnnualReturns,
+        toMonthlyReturnSeries,
+        calculateGrowthFactor,
+        getAnnualisedSeriesReturn,
+        getReturnSeriesWindow,
+        getStepUpInstallment,
+        calculateSIPInvested,
         calculateSIP,
         calculateSIPValue,
         calculateYearlyGrowth,
@@ -276,8 +1791,28 @@ if (typeof module !== 'undefined' && module.exports) {
         calculateSIPProjections,
         calculateRequiredSIP,
         calculateRequiredTime,
+        SCENARIO_EVENT_TYPES,
+        getTimelineMonth,
+        normalizeScenarioEvents,
+        simulateSIPTimeline,
         calculateLumpSum,
-        compareSIPvsLumpSum
+        compareSIPvsLumpSum,
+        calculateInitialInvestmentValue,
+        calculateSIPWithLumpSum,
+        calculateSWP,
+        calculateSWPYearly,
+        calculateSTP,
+        GOAL_SEEK_INPUTS,
+        GOAL_SEEK_MODES,
+        goalSeek,
+        getGoalSeekOutcome,
+        solveCalculatorInput,
+        calculateXIRR,
+        calculateIRR,
+        generateSIPInstallments,
+        analyzeSIPHistory,
+        parseReturnSeriesCSV,
+        backtestSIP
     };
 }
 
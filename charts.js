@@ -26,45 +26,89 @@ function getThemeColors() {
 /**
  * Create Growth Projection Chart
  * @param {Object} sipResult - SIP calculation result
+ * @param {Object} timeline - Result from simulateSIPTimeline to plot month by month with event markers (optional)
  * @returns {Chart} Chart.js chart instance
  */
-function createGrowthChart(sipResult) {
+function createGrowthChart(sipResult, timeline = null) {
     const ctx = document.getElementById('growth-chart');
     if (!ctx) return null;
 
-    const projections = calculateSIPProjections(
+    const projections = timeline ? timeline.projections : calculateSIPProjections(
         sipResult.monthlyAmount,
         sipResult.years,
         sipResult.annualReturns,
-        6
+        6,
+        {
+            lumpSum: sipResult.lumpSum,
+            stepUp: sipResult.stepUp,
+            inflationRate: sipResult.inflationRate,
+            frequency: sipResult.frequency,
+            timing: sipResult.timing
+        }
     );
 
     const colors = getThemeColors();
+    const datasets = [
+        {
+            label: 'Invested Amount',
+            data: projections.invested,
+            borderColor: colors.primary,
+            backgroundColor: colors.primary + '20',
+            borderWidth: 2,
+            fill: false,
+            tension: 0.4
+        },
+        {
+            label: 'Maturity Value',
+            data: projections.maturity,
+            borderColor: colors.success,
+            backgroundColor: colors.success + '20',
+            borderWidth: 2,
+            fill: true,
+            tension: 0.4
+        }
+    ];
+
+    // Show purchasing power alongside the nominal curve when inflation is set
+    if (sipResult.inflationRate > 0) {
+        datasets.push({
+            label: "Value in Today's Rupees",
+            data: projections.real,
+            borderColor: colors.warning,
+            backgroundColor: colors.warning + '20',
+            borderWidth: 2,
+            borderDash: [6, 4],
+            fill: false,
+            tension: 0.4
+        });
+    }
+
+    // Mark scenario events (pauses, skips, top-ups, amount changes) on the value curve
+    if (timeline && projections.markers.length > 0) {
+        const markerData = projections.maturity.map(() => null);
+        const markerLabels = [];
+        projections.markers.forEach(marker => {
+            markerData[marker.index] = projections.maturity[marker.index];
+            markerLabels[marker.index] = (markerLabels[marker.index] ? markerLabels[marker.index] + ', ' : '') + marker.label;
+        });
+        datasets.push({
+            label: 'Events',
+            data: markerData,
+            eventLabels: markerLabels,
+            borderColor: colors.error,
+            backgroundColor: colors.error,
+            pointStyle: 'triangle',
+            pointRadius: 8,
+            pointHoverRadius: 10,
+            showLine: false
+        });
+    }
 
     return new Chart(ctx, {
         type: 'line',
         data: {
             labels: projections.labels,
-            datasets: [
-                {
-                    label: 'Invested Amount',
-                    data: projections.invested,
-                    borderColor: colors.primary,
-                    backgroundColor: colors.primary + '20',
-                    borderWidth: 2,
-                    fill: false,
-                    tension: 0.4
-                },
-                {
-                    label: 'Maturity Value',
-                    data: projections.maturity,
-                    borderColor: colors.success,
-                    backgroundColor: colors.success + '20',
-                    borderWidth: 2,
-                    fill: true,
-                    tension: 0.4
-                }
-            ]
+            datasets: datasets
         },
         options: {
             responsive: true,
@@ -83,8 +127,15 @@ function createGrowthChart(sipResult) {
                 tooltip: {
                     mode: 'index',
                     intersect: false,
+                    // Event markers only exist on some months
+                    filter: function(item) {
+                        return item.raw !== null;
+                    },
                     callbacks: {
                         label: function(context) {
+                            if (context.dataset.eventLabels) {
+                                return context.dataset.eventLabels[context.dataIndex];
+                            }
                             return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
                         }
                     }
@@ -190,7 +241,8 @@ function createYearlyGrowthChart(sipResult) {
     const yearlyData = calculateYearlyGrowth(
         sipResult.monthlyAmount,
         sipResult.years,
-        sipResult.annualReturns
+        sipResult.annualReturns,
+        { lumpSum: sipResult.lumpSum, stepUp: sipResult.stepUp, frequency: sipResult.frequency, timing: sipResult.timing }
     );
 
     const colors = getThemeColors();
@@ -277,7 +329,7 @@ function createYearlyGrowthChart(sipResult) {
 /**
  * Create Comparison Chart (Multiple SIPs)
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {Array} sipScenarios - Array of SIP scenarios
+ * @param {Array} sipScenarios - SIP scenarios { monthlyAmount, period, expectedReturns, ... } (see normalizeSIPScenario)
  * @returns {Chart} Chart.js chart instance
  */
 function createComparisonChart(ctx, sipScenarios) {
@@ -287,16 +339,13 @@ function createComparisonChart(ctx, sipScenarios) {
     const chartColors = [colors.primary, colors.success, colors.warning, colors.error, '#8b5cf6', '#ec4899'];
 
     const datasets = sipScenarios.map((scenario, index) => {
-        const result = calculateSIP(
-            scenario.amount || scenario.monthlyAmount,
-            scenario.period || scenario.years,
-            scenario.returns || scenario.expectedReturns
-        );
+        // Plot what the investor keeps, i.e. returns net of the expense ratio
         const projections = calculateSIPProjections(
-            scenario.amount || scenario.monthlyAmount,
-            scenario.period || scenario.years,
-            scenario.returns || scenario.expectedReturns,
-            12
+            scenario.monthlyAmount,
+            scenario.period,
+            getNetAnnualReturns(scenario.expectedReturns, scenario.expenseRatio),
+            12,
+            { lumpSum: scenario.lumpSum, stepUp: scenario.stepUp, frequency: scenario.frequency, timing: scenario.timing }
         );
 
         return {
@@ -311,9 +360,9 @@ function createComparisonChart(ctx, sipScenarios) {
     });
 
     const firstProjections = calculateSIPProjections(
-        sipScenarios[0].amount || sipScenarios[0].monthlyAmount,
-        sipScenarios[0].period || sipScenarios[0].years,
-        sipScenarios[0].returns || sipScenarios[0].expectedReturns,
+        sipScenarios[0].monthlyAmount,
+        sipScenarios[0].period,
+        sipScenarios[0].expectedReturns,
         12
     );
 
@@ -380,6 +429,790 @@ function createComparisonChart(ctx, sipScenarios) {
     });
 }
 
+/**
+ * Create SWP Depletion Chart (remaining corpus vs withdrawals)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array} yearlyData - Year-wise SWP data from calculateSWPYearly
+ * @returns {Chart} Chart.js chart instance
+ */
+function createSWPChart(ctx, yearlyData) {
+    if (!ctx || !yearlyData || yearlyData.length === 0) return null;
+
+    const colors = getThemeColors();
+
+    return new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: yearlyData.map(d => `Year ${d.year}`),
+            datasets: [
+                {
+                    label: 'Remaining Corpus',
+                    data: yearlyData.map(d => d.closingBalance),
+                    borderColor: colors.success,
+                    backgroundColor: colors.success + '20',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.4
+                },
+                {
+                    label: 'Total Withdrawn',
+                    data: yearlyData.map(d => d.totalWithdrawn),
+                    borderColor: colors.primary,
+                    backgroundColor: colors.primary + '20',
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.4
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Corpus Depletion Timeline',
+                    font: { size: 16 }
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Time Period'
+                    },
+                    grid: {
+                        color: colors.grid
+                    },
+                    ticks: {
+                        color: colors.text
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Amount (₹)'
+                    },
+                    grid: {
+                        color: colors.grid
+                    },
+                    ticks: {
+                        color: colors.text,
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Create STP Balance Chart (debt source vs equity target)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} stpResult - STP calculation result
+ * @returns {Chart} Chart.js chart instance
+ */
+function createSTPChart(ctx, stpResult) {
+    if (!ctx || !stpResult || !stpResult.schedule) return null;
+
+    const colors = getThemeColors();
+    const schedule = stpResult.schedule;
+
+    return new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: schedule.map(d => `Month ${d.month}`),
+            datasets: [
+                {
+                    label: 'Debt Fund',
+                    data: schedule.map(d => d.debtBalance),
+                    borderColor: colors.primary,
+                    backgroundColor: colors.primary + '20',
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.4
+                },
+                {
+                    label: 'Equity Fund',
+                    data: schedule.map(d => d.equityBalance),
+                    borderColor: colors.success,
+                    backgroundColor: colors.success + '20',
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.4
+                },
+                {
+                    label: 'Total Value',
+                    data: schedule.map(d => d.totalValue),
+                    borderColor: colors.warning,
+                    backgroundColor: colors.warning + '20',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.4
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'STP Balances Over Time',
+                    font: { size: 16 }
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Time Period'
+                    },
+                    grid: {
+                        color: colors.grid
+                    },
+                    ticks: {
+                        color: colors.text
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Amount (₹)'
+                    },
+                    grid: {
+                        color: colors.grid
+                    },
+                    ticks: {
+                        color: colors.text,
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Create Monte Carlo Fan Chart (P10/P50/P90 bands)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} simulation - Result of runMonteCarloSimulation
+ * @returns {Chart} Chart.js chart instance
+ */
+function createFanChart(ctx, simulation) {
+    if (!ctx || !simulation || !simulation.percentiles) return null;
+
+    const colors = getThemeColors();
+    const datasets = [
+        {
+            label: 'Pessimistic (P10)',
+            data: simulation.percentiles.p10,
+            borderColor: colors.error,
+            backgroundColor: colors.primary + '20',
+            borderWidth: 1,
+            fill: false,
+            tension: 0.4
+        },
+        {
+            label: 'Median (P50)',
+            data: simulation.percentiles.p50,
+            borderColor: colors.primary,
+            backgroundColor: colors.primary + '20',
+            borderWidth: 3,
+            fill: false,
+            tension: 0.4
+        },
+        {
+            label: 'Optimistic (P90)',
+            data: simulation.percentiles.p90,
+            borderColor: colors.success,
+            backgroundColor: colors.primary + '20',
+            borderWidth: 1,
+            // Shade the band between P10 and P90
+            fill: 0,
+            tension: 0.4
+        }
+    ];
+
+    if (simulation.targetAmount) {
+        datasets.push({
+            label: 'Target',
+            data: simulation.labels.map(() => simulation.targetAmount),
+            borderColor: colors.warning,
+            borderWidth: 2,
+            borderDash: [6, 4],
+            pointRadius: 0,
+            fill: false
+        });
+    }
+
+    return new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: simulation.labels,
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2,
+            plugins: {
+                title: {
+                    display: true,
+                    text: `Range of Outcomes (${simulation.simulations} simulations)`,
+                    font: { size: 16 }
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Time Period'
+                    },
+                    grid: {
+                        color: colors.grid
+                    },
+                    ticks: {
+                        color: colors.text
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Portfolio Value (₹)'
+                    },
+                    grid: {
+                        color: colors.grid
+                    },
+                    ticks: {
+                        color: colors.text,
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Create Glide Path Chart (stacked area of allocation over time)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array} glidePath - Year-wise allocation from calculateGlidePath
+ * @returns {Chart} Chart.js chart instance
+ */
+function createGlidePathChart(ctx, glidePath) {
+    if (!ctx || !glidePath || glidePath.length === 0) return null;
+
+    const colors = getThemeColors();
+
+    return new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: glidePath.map(d => `Year ${d.year}`),
+            datasets: [
+                {
+                    label: 'Equity',
+                    data: glidePath.map(d => d.equity),
+                    borderColor: colors.success,
+                    backgroundColor: colors.success + '80',
+                    borderWidth: 2,
+                    fill: 'origin'
+                },
+                {
+                    label: 'Debt',
+                    data: glidePath.map(d => d.debt),
+                    borderColor: colors.primary,
+                    backgroundColor: colors.primary + '80',
+                    borderWidth: 2,
+                    fill: '-1'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Allocation Glide Path',
+                    font: { size: 16 }
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatPercentage(context.parsed.y, 0);
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: {
+                        color: colors.grid
+                    },
+                    ticks: {
+                        color: colors.text
+                    }
+                },
+                y: {
+                    stacked: true,
+                    min: 0,
+                    max: 100,
+                    title: {
+                        display: true,
+                        text: 'Allocation (%)'
+                    },
+                    grid: {
+                        color: colors.grid
+                    },
+                    ticks: {
+                        color: colors.text,
+                        callback: function(value) {
+                            return value + '%';
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Create Rolling Returns Distribution Chart (histogram of backtest windows)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} backtest - Result from backtestSIP
+ * @returns {Chart} Chart.js chart instance
+ */
+function createRollingReturnsChart(ctx, backtest) {
+    if (!ctx || !backtest || backtest.distribution.length === 0) return null;
+
+    const colors = getThemeColors();
+
+    return new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: backtest.distribution.map(b => `${b.from}% to ${b.to}%`),
+            datasets: [{
+                label: 'Start Windows',
+                data: backtest.distribution.map(b => b.count),
+                backgroundColor: backtest.distribution.map(b => (b.to <= 0 ? colors.error : colors.primary) + '80'),
+                borderColor: backtest.distribution.map(b => b.to <= 0 ? colors.error : colors.primary),
+                borderWidth: 2
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2,
+            plugins: {
+                title: {
+                    display: true,
+                    text: `${backtest.years}-Year SIP Returns Across ${backtest.windowCount} Start Dates`,
+                    font: { size: 16 }
+                },
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return context.parsed.y + ' start date(s)';
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Annualised Return (XIRR)'
+                    },
+                    grid: {
+                        color: colors.grid
+                    },
+                    ticks: {
+                        color: colors.text
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Number of Start Dates'
+                    },
+                    grid: {
+                        color: colors.grid
+                    },
+                    ticks: {
+                        color: colors.text,
+                        precision: 0
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Create Goal Timeline Chart (stacked corpus per goal with the monthly SIP)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} timeline - Timeline from allocateGoalSurplus
+ * @returns {Chart} Chart.js chart instance
+ */
+function createGoalTimelineChart(ctx, timeline) {
+    if (!ctx || !timeline || timeline.labels.length === 0) return null;
+
+    const colors = getThemeColors();
+    const chartColors = [colors.primary, colors.success, colors.warning, colors.error, '#8b5cf6', '#ec4899'];
+
+    const datasets = timeline.goals.map((goal, index) => ({
+        type: 'bar',
+        label: goal.name,
+        data: goal.values,
+        backgroundColor: chartColors[index % chartColors.length] + '80',
+        borderColor: chartColors[index % chartColors.length],
+        borderWidth: 1,
+        stack: 'corpus',
+        yAxisID: 'y'
+    }));
+
+    datasets.push({
+        type: 'line',
+        label: 'Monthly SIP',
+        data: timeline.monthlySIP,
+        borderColor: colors.text,
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        borderDash: [5, 5],
+        stepped: true,
+        fill: false,
+        yAxisID: 'y1'
+    });
+
+    return new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: timeline.labels,
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Goal Corpus Timeline',
+                    font: { size: 16 }
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    stacked: true,
+                    grid: {
+                        color: colors.grid
+                    },
+                    ticks: {
+                        color: colors.text
+                    }
+                },
+                y: {
+                    stacked: true,
+                    position: 'left',
+                    title: {
+                        display: true,
+                        text: 'Goal Corpus (₹)'
+                    },
+                    grid: {
+                        color: colors.grid
+                    },
+                    ticks: {
+                        color: colors.text,
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    }
+                },
+                y1: {
+                    position: 'right',
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Monthly SIP (₹)'
+                    },
+                    grid: {
+                        drawOnChartArea: false
+                    },
+                    ticks: {
+                        color: colors.text,
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Create Retirement Chart (corpus by age with yearly contributions and withdrawals)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} plan - Result from calculateRetirementPlan
+ * @returns {Chart} Chart.js chart instance
+ */
+function createRetirementChart(ctx, plan) {
+    if (!ctx || !plan || plan.schedule.length === 0) return null;
+
+    const colors = getThemeColors();
+
+    return new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: plan.schedule.map(row => `Age ${row.age}`),
+            datasets: [
+                {
+                    type: 'line',
+                    label: 'Corpus',
+                    data: plan.schedule.map(row => row.closingBalance),
+                    borderColor: colors.primary,
+                    backgroundColor: colors.primary + '20',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.4,
+                    pointRadius: 0
+                },
+                {
+                    label: 'Contributions',
+                    data: plan.schedule.map(row => row.contributions),
+                    backgroundColor: colors.success + '80',
+                    borderColor: colors.success,
+                    borderWidth: 1
+                },
+                {
+                    label: 'Withdrawals',
+                    data: plan.schedule.map(row => row.withdrawals),
+                    backgroundColor: colors.warning + '80',
+                    borderColor: colors.warning,
+                    borderWidth: 1
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2,
+            plugins: {
+                title: {
+                    display: true,
+                    text: plan.moneyLasts
+                        ? `Retirement Corpus Lasts Beyond Age ${plan.lifeExpectancy}`
+                        : `Retirement Corpus Runs Out at Age ${plan.depletionAge}`,
+                    font: { size: 16 }
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: {
+                        color: colors.grid
+                    },
+                    ticks: {
+                        color: colors.text
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Amount (₹)'
+                    },
+                    grid: {
+                        color: colors.grid
+                    },
+                    ticks: {
+                        color: colors.text,
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Create Loan Balance Chart (outstanding balance with and without prepayments)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array} baseYearly - Year-wise schedule without prepayments
+ * @param {Array} prepaidYearly - Year-wise schedule with prepayments
+ * @returns {Chart} Chart.js chart instance
+ */
+function createLoanBalanceChart(ctx, baseYearly, prepaidYearly) {
+    if (!ctx || !baseYearly || baseYearly.length === 0) return null;
+
+    const colors = getThemeColors();
+
+    return new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: baseYearly.map(y => `Year ${y.year}`),
+            datasets: [
+                {
+                    label: 'Without Prepayment',
+                    data: baseYearly.map(y => y.closingBalance),
+                    borderColor: colors.error,
+                    backgroundColor: colors.error + '20',
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.4
+                },
+                {
+                    label: 'With Prepayment',
+                    // The prepaid loan closes early, so its balance stays at zero afterwards
+                    data: baseYearly.map((y, index) => prepaidYearly[index] ? prepaidYearly[index].closingBalance : 0),
+                    borderColor: colors.success,
+                    backgroundColor: colors.success + '20',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.4
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Outstanding Loan Balance',
+                    font: { size: 16 }
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: {
+                        color: colors.grid
+                    },
+                    ticks: {
+                        color: colors.text
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Balance (₹)'
+                    },
+                    grid: {
+                        color: colors.grid
+                    },
+                    ticks: {
+                        color: colors.text,
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
 /**
  * Create Portfolio Allocation Chart (Pie)
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -396,7 +1229,11 @@ function createPortfolioAllocationChart(ctx, labels, values) {
         colors.success,
         colors.warning,
         '#8b5cf6',
-        colors.error
+        colors.error,
+        '#ec4899',
+        '#14b8a6',
+        '#f97316',
+        '#64748b'
     ];
 
     return new Chart(ctx, {
@@ -405,7 +1242,8 @@ function createPortfolioAllocationChart(ctx, labels, values) {
             labels: labels,
             datasets: [{
                 data: values,
-                backgroundColor: chartColors.slice(0, labels.length),
+                // User-defined asset classes can outnumber the palette, so cycle through it
+                backgroundColor: labels.map((_, index) => chartColors[index % chartColors.length]),
                 borderWidth: 2,
                 borderColor: colors.background
             }]
@@ -0,0 +1,279 @@
+// Home Loan Functions
+
+const LOAN_PREPAYMENT_MODES = {
+    'reduce-tenure': 'Reduce tenure (keep EMI)',
+    'reduce-emi': 'Reduce EMI (keep tenure)'
+};
+
+/**
+ * Calculate the EMI of a loan
+ * EMI = P × r × (1 + r)^n / ((1 + r)^n - 1)
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Annual interest rate percentage
+ * @param {number} months - Tenure in months
+ * @returns {number} Monthly EMI
+ */
+function calculateEMI(principal, annualRate, months) {
+    if (!principal || principal <= 0) {
+        throw new Error('Loan amount must be a positive number');
+    }
+    if (!months || months <= 0) {
+        throw new Error('Loan tenure must be a positive number');
+    }
+    if (annualRate < 0) {
+        throw new Error('Interest rate cannot be negative');
+    }
+
+    const monthlyRate = annualToMonthlyRate(annualRate || 0);
+    if (monthlyRate === 0) {
+        return principal / months;
+    }
+    const growth = Math.pow(1 + monthlyRate, months);
+    return principal * monthlyRate * growth / (growth - 1);
+}
+
+/**
+ * Validate one-off prepayments and index them by month
+ * @param {Array} prepayments - Prepayments { month, amount } (month 1 = first EMI)
+ * @param {number} months - Loan tenure in months
+ * @returns {Object} Prepayment amount keyed by month
+ */
+function normalizePrepayments(prepayments, months) {
+    const byMonth = {};
+
+    (prepayments || []).forEach(prepayment => {
+        if (!prepayment.month || prepayment.month < 1 || prepayment.month > months) {
+            throw new Error(`Prepayment month must be between 1 and ${months}`);
+        }
+        if (!prepayment.amount || prepayment.amount <= 0) {
+            throw new Error('Prepayment amount must be a positive number');
+        }
+        byMonth[prepayment.month] = (byMonth[prepayment.month] || 0) + prepayment.amount;
+    });
+
+    return byMonth;
+}
+
+/**
+ * Build a loan amortisation schedule with optional prepayments
+ * A prepayment is made right after that month's EMI. With 'reduce-tenure'
+ * the EMI stays the same and the loan closes early; with 'reduce-emi' the
+ * EMI is recalculated over the remaining original tenure.
+ * @param {number} principal - Loan amount outstanding
+ * @param {number} annualRate - Annual interest rate percentage
+ * @param {number} years - Remaining tenure in years
+ * @param {Object} options - Optional settings
+ * @param {Array} options.prepayments - One-off prepayments { month, amount }
+ * @param {number} options.monthlyPrepayment - Extra amount prepaid every month (default: 0)
+ * @param {string} options.mode - 'reduce-tenure' (default) or 'reduce-emi'
+ * @returns {Object} Monthly and yearly schedule with interest and tenure saved
+ */
+function calculateLoanAmortization(principal, annualRate, years, options = {}) {
+    const mode = options.mode || 'reduce-tenure';
+    if (!LOAN_PREPAYMENT_MODES[mode]) {
+        throw new Error('Prepayment mode must be "reduce-tenure" or "reduce-emi"');
+    }
+
+    const months = Math.round(yearsToMonths(years));
+    const emi = calculateEMI(principal, annualRate, months);
+    const monthlyRate = annualToMonthlyRate(annualRate || 0);
+    const prepayments = normalizePrepayments(options.prepayments, months);
+    const monthlyPrepayment = options.monthlyPrepayment || 0;
+
+    const schedule = [];
+    let balance = principal;
+    let currentEMI = emi;
+    let totalInterest = 0;
+    let totalPrepaid = 0;
+
+    for (let month = 1; month <= months && balance > 0.005; month++) {
+        const openingBalance = balance;
+        const interest = balance * monthlyRate;
+        const principalPaid = Math.min(currentEMI - interest, balance);
+        balance -= principalPaid;
+
+        const prepayment = Math.min((prepayments[month] || 0) + monthlyPrepayment, balance);
+        balance -= prepayment;
+        totalInterest += interest;
+        totalPrepaid += prepayment;
+
+        schedule.push({
+            month: month,
+            openingBalance: round(openingBalance, 2),
+            emi: round(interest + principalPaid, 2),
+            interest: round(interest, 2),
+            principal: round(principalPaid, 2),
+            prepayment: round(prepayment, 2),
+            closingBalance: round(Math.max(0, balance), 2)
+        });
+
+        if (mode === 'reduce-emi' && prepayment > 0 && balance > 0.005 && month < months) {
+            currentEMI = calculateEMI(balance, annualRate, months - month);
+        }
+    }
+
+    const baseInterest = emi * months - principal;
+
+    return {
+        principal: round(principal, 2),
+        annualRate: annualRate,
+        months: months,
+        mode: mode,
+        emi: round(emi, 2),
+        finalEMI: round(currentEMI, 2),
+        schedule: schedule,
+        yearly: calculateLoanYearly(schedule),
+        totalInterest: round(totalInterest, 2),
+        totalPrepaid: round(totalPrepaid, 2),
+        totalPaid: round(principal + totalInterest, 2),
+        actualMonths: schedule.length,
+        monthsSaved: months - schedule.length,
+        interestSaved: round(Math.max(0, baseInterest - totalInterest), 2)
+    };
+}
+
+/**
+ * Summarise a monthly loan schedule by year
+ * @param {Array} schedule - Monthly schedule from calculateLoanAmortization
+ * @returns {Array} Year-wise EMI paid, interest, principal, prepayment and closing balance
+ */
+function calculateLoanYearly(schedule) {
+    const yearlyData = [];
+
+    for (let start = 0; start < schedule.length; start += 12) {
+        const months = schedule.slice(start, start + 12);
+        yearlyData.push({
+            year: start / 12 + 1,
+            emiPaid: round(months.reduce((sum, m) => sum + m.emi, 0), 2),
+            interest: round(months.reduce((sum, m) => sum + m.interest, 0), 2),
+            principal: round(months.reduce((sum, m) => sum + m.principal, 0), 2),
+            prepayment: round(months.reduce((sum, m) => sum + m.prepayment, 0), 2),
+            closingBalance: months[months.length - 1].closingBalance
+        });
+    }
+
+    return yearlyData;
+}
+
+/**
+ * Work out the outcome of one strategy for the loan-vs-invest comparison
+ * @param {Object} amortization - Schedule from calculateLoanAmortization
+ * @param {number} monthlyAmount - Amount invested each month
+ * @param {number} investMonths - Months the amount is invested for
+ * @param {number} sipReturns - Expected annual SIP returns percentage
+ * @param {Object} options - Comparison settings (see compareLoanPrepaymentVsSIP)
+ * @returns {Object} Interest, tax saving and investment value at the end of the tenure
+ */
+function evaluateLoanStrategy(amortization, monthlyAmount, investMonths, sipReturns, options) {
+    const deduction = options.claimDeduction !== false
+        ? calculateHomeLoanTaxSaving(amortization.yearly.map(y => y.interest), options.slabRate, options.interestDeductionLimit)
+        : { totalSaving: 0 };
+
+    let sip = null;
+    if (monthlyAmount > 0 && investMonths > 0) {
+        sip = calculateSIP(monthlyAmount, investMonths / 12, sipReturns, { tax: options.tax });
+    }
+    const investmentValue = sip ? sip.postTaxMaturityValue : 0;
+
+    return {
+        loanClosesInMonths: amortization.actualMonths,
+        totalInterest: amortization.totalInterest,
+        taxSaving: round(deduction.totalSaving, 2),
+        netInterest: round(amortization.totalInterest - deduction.totalSaving, 2),
+        sipMonthlyAmount: round(monthlyAmount, 2),
+        sipMonths: sip ? investMonths : 0,
+        totalInvested: sip ? sip.totalInvested : 0,
+        investmentValue: round(investmentValue, 2),
+        netWorth: round(investmentValue + deduction.totalSaving, 2)
+    };
+}
+
+/**
+ * Compare prepaying a home loan with investing the same surplus in a SIP
+ * Both strategies spend EMI + surplus every month until the original tenure
+ * ends. Prepaying closes the loan early (reduced tenure), after which the
+ * EMI and surplus go into a SIP; investing keeps the EMI unchanged and runs
+ * a SIP of the surplus from month one. Tax saved on loan interest is counted
+ * as cash in hand, and the SIP is valued after capital gains tax.
+ * @param {Object} loan - Loan { principal, annualRate, years }
+ * @param {number} monthlySurplus - Extra amount available each month
+ * @param {Object} options - Optional settings
+ * @param {number} options.sipReturns - Expected annual SIP returns percentage (default: 12)
+ * @param {Object} options.tax - Capital gains tax settings for the SIP (default: equity, see calculateSIP)
+ * @param {boolean} options.claimDeduction - Claim the home loan interest deduction (default: true)
+ * @param {number} options.slabRate - Income tax slab for the interest deduction (default: 30)
+ * @param {number} options.interestDeductionLimit - Yearly cap on deductible interest (default: 2,00,000)
+ * @returns {Object} Both strategies, the winner and the break-even SIP return
+ */
+function compareLoanPrepaymentVsSIP(loan, monthlySurplus, options = {}) {
+    if (!monthlySurplus || monthlySurplus <= 0) {
+        throw new Error('Monthly surplus must be a positive number');
+    }
+
+    const sipReturns = options.sipReturns !== undefined ? options.sipReturns : 12;
+    const base = calculateLoanAmortization(loan.principal, loan.annualRate, loan.years);
+    const prepaid = calculateLoanAmortization(loan.principal, loan.annualRate, loan.years, {
+        monthlyPrepayment: monthlySurplus,
+        mode: 'reduce-tenure'
+    });
+    const freedMonths = base.months - prepaid.actualMonths;
+
+    const compareAt = returns => {
+        const prepay = evaluateLoanStrategy(prepaid, base.emi + monthlySurplus, freedMonths, returns, options);
+        const invest = evaluateLoanStrategy(base, monthlySurplus, base.months, returns, options);
+        return { prepay: prepay, invest: invest, difference: invest.netWorth - prepay.netWorth };
+    };
+
+    const outcome = compareAt(sipReturns);
+
+    // Investing gains more from a higher return, so bisect for the return where both strategies tie
+    let breakEvenRate = null;
+    let low = 0.1;
+    let high = 50;
+    if (compareAt(low).difference < 0 && compareAt(high).difference > 0) {
+        for (let i = 0; i < 50; i++) {
+            const mid = (low + high) / 2;
+            if (compareAt(mid).difference < 0) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+            if (high - low < 0.001) break;
+        }
+        breakEvenRate = round((low + high) / 2, 2);
+    }
+
+    return {
+        loan: {
+            principal: base.principal,
+            annualRate: loan.annualRate,
+            months: base.months,
+            emi: base.emi,
+            // Post-tax cost of the loan when the EMI runs its full course
+            effectiveRate: base.totalInterest > 0
+                ? round(loan.annualRate * (1 - outcome.invest.taxSaving / base.totalInterest), 2)
+                : loan.annualRate
+        },
+        monthlySurplus: round(monthlySurplus, 2),
+        sipReturns: sipReturns,
+        prepay: { ...outcome.prepay, monthsSaved: prepaid.monthsSaved, interestSaved: prepaid.interestSaved },
+        invest: outcome.invest,
+        difference: round(Math.abs(outcome.difference), 2),
+        winner: outcome.difference > 0 ? 'invest' : 'prepay',
+        breakEvenRate: breakEvenRate,
+        baseSchedule: base.yearly,
+        prepaidSchedule: prepaid.yearly
+    };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LOAN_PREPAYMENT_MODES,
+        calculateEMI,
+        normalizePrepayments,
+        calculateLoanAmortization,
+        calculateLoanYearly,
+        compareLoanPrepaymentVsSIP
+    };
+}
@@ -1,5 +1,167 @@
 // Portfolio Planner Functions
 
+const ASSET_CONTRIBUTION_STYLES = {
+    sip: 'Monthly SIP',
+    lumpsum: 'Lump sum'
+};
+
+const ASSET_TAX_TREATMENTS = {
+    equity: 'Equity (STCG/LTCG)',
+    debt: 'Debt (slab rate)',
+    exempt: 'Tax-free',
+    other: 'Other'
+};
+
+/**
+ * Built-in asset classes
+ * Volatility is the annual standard deviation (%), riskScore runs from 1
+ * (lowest) to 10, and allocation is the recommended weight (%) for each
+ * risk profile. Users can override these or add their own classes through
+ * the registry saved in storage.
+ */
+const DEFAULT_ASSET_CLASSES = [
+    {
+        id: 'sip', label: 'SIP/Mutual Funds', expectedReturns: 12, volatility: 15, riskScore: 5,
+        contribution: 'sip', taxTreatment: 'equity',
+        allocation: { conservative: 35, moderate: 40, aggressive: 30 }
+    },
+    {
+        id: 'stocks', label: 'Stocks/Equities', expectedReturns: 15, volatility: 20, riskScore: 8,
+        contribution: 'lumpsum', taxTreatment: 'equity',
+        allocation: { conservative: 15, moderate: 25, aggressive: 50 }
+    },
+    {
+        id: 'bonds', label: 'Bonds/Fixed Income', expectedReturns: 7, volatility: 4, riskScore: 3,
+        contribution: 'lumpsum', taxTreatment: 'debt',
+        allocation: { conservative: 30, moderate: 20, aggressive: 5 }
+    },
+    {
+        id: 'realestate', label: 'Real Estate', expectedReturns: 8, volatility: 10, riskScore: 4,
+        contribution: 'lumpsum', taxTreatment: 'other',
+        allocation: { conservative: 5, moderate: 5, aggressive: 5 }
+    },
+    {
+        id: 'gold', label: 'Gold/Commodities', expectedReturns: 7, volatility: 14, riskScore: 4,
+        contribution: 'lumpsum', taxTreatment: 'other',
+        allocation: { conservative: 5, moderate: 5, aggressive: 5 }
+    },
+    {
+        id: 'emergency', label: 'Emergency Fund', expectedReturns: 6.5, volatility: 1, riskScore: 1,
+        contribution: 'lumpsum', taxTreatment: 'debt',
+        allocation: { conservative: 10, moderate: 5, aggressive: 5 }
+    }
+];
+
+/**
+ * Validate a user-defined asset class
+ * @param {Object} assetClass - Asset class { id, label, expectedReturns, volatility, riskScore, contribution, taxTreatment, allocation }
+ * @returns {Object} Normalized asset class
+ */
+function normalizeAssetClass(assetClass) {
+    const id = String(assetClass.id || '').trim().toLowerCase();
+    if (!/^[a-z0-9-]+$/.test(id)) {
+        throw new Error('Asset class ID must use only lowercase letters, numbers and hyphens');
+    }
+
+    const label = String(assetClass.label || '').trim();
+    if (!label) {
+        throw new Error(`Asset class "${id}" needs a label`);
+    }
+
+    const expectedReturns = Number(assetClass.expectedReturns);
+    const volatility = Number(assetClass.volatility);
+    const riskScore = Number(assetClass.riskScore);
+    if (isNaN(expectedReturns)) {
+        throw new Error(`${label}: expected returns must be a number`);
+    }
+    if (isNaN(volatility) || volatility < 0) {
+        throw new Error(`${label}: volatility cannot be negative`);
+    }
+    if (isNaN(riskScore) || riskScore < 1 || riskScore > 10) {
+        throw new Error(`${label}: risk score must be between 1 and 10`);
+    }
+
+    const contribution = assetClass.contribution || 'lumpsum';
+    if (!ASSET_CONTRIBUTION_STYLES[contribution]) {
+        throw new Error(`${label}: contribution style must be "sip" or "lumpsum"`);
+    }
+    const taxTreatment = assetClass.taxTreatment || 'other';
+    if (!ASSET_TAX_TREATMENTS[taxTreatment]) {
+        throw new Error(`${label}: unknown tax treatment "${taxTreatment}"`);
+    }
+
+    const allocation = {};
+    ['conservative', 'moderate', 'aggressive'].forEach(level => {
+        const weight = assetClass.allocation ? Number(assetClass.allocation[level]) || 0 : 0;
+        if (weight < 0 || weight > 100) {
+            throw new Error(`${label}: recommended allocation must be between 0 and 100`);
+        }
+        allocation[level] = weight;
+    });
+
+    return {
+        id: id,
+        label: label,
+        expectedReturns: expectedReturns,
+        volatility: volatility,
+        riskScore: riskScore,
+        contribution: contribution,
+        taxTreatment: taxTreatment,
+        allocation: allocation
+    };
+}
+
+/**
+ * Get the asset-class registry: built-in classes merged with user-defined ones
+ * A user-defined class with a built-in ID replaces the built-in settings.
+ * @param {Array} customClasses - User-defined classes (default: those saved in storage)
+ * @returns {Array} Asset classes
+ */
+function getAssetClassRegistry(customClasses) {
+    const saved = customClasses !== undefined
+        ? customClasses
+        : (typeof getAssetClasses === 'function' ? getAssetClasses() : []);
+    const registry = DEFAULT_ASSET_CLASSES.map(assetClass => ({ ...assetClass }));
+
+    (saved || []).forEach(assetClass => {
+        let normalized;
+        try {
+            normalized = normalizeAssetClass(assetClass || {});
+        } catch (error) {
+            // One bad saved class should not break every planner, chart and recommendation
+            console.error('Skipping invalid asset class:', error);
+            return;
+        }
+        const index = registry.findIndex(a => a.id === normalized.id);
+        if (index >= 0) {
+            registry[index] = normalized;
+        } else {
+            registry.push(normalized);
+        }
+    });
+
+    return registry;
+}
+
+/**
+ * Look up an asset class by ID
+ * @param {string} id - Asset class ID
+ * @param {Array} registry - Asset classes (default: getAssetClassRegistry())
+ * @returns {Object} Asset class, or a neutral placeholder for unknown IDs
+ */
+function getAssetClass(id, registry = getAssetClassRegistry()) {
+    return registry.find(a => a.id === id) || {
+        id: id,
+        label: id,
+        expectedReturns: 0,
+        volatility: 0,
+        riskScore: 5,
+        contribution: 'lumpsum',
+        taxTreatment: 'other',
+        allocation: { conservative: 0, moderate: 0, aggressive: 0 }
+    };
+}
+
 /**
  * Calculate portfolio value
  * @param {Object} portfolio - Portfolio object with assets
@@ -24,9 +186,10 @@ function calculatePortfolioValue(portfolio) {
 /**
  * Calculate portfolio returns and current value
  * @param {Object} portfolio - Portfolio object
+ * @param {Array} registry - Asset classes (default: getAssetClassRegistry())
  * @returns {number} Current portfolio value
  */
-function calculatePortfolioReturns(portfolio) {
+function calculatePortfolioReturns(portfolio, registry = getAssetClassRegistry()) {
     if (!portfolio.assets || !portfolio.timeHorizon) {
         return 0;
     }
@@ -40,9 +203,9 @@ function calculatePortfolioReturns(portfolio) {
         if (asset.amount && asset.returns) {
             const annualRate = asset.returns / 100;
             
-            // For SIP-type investments, use SIP formula
-            if (assetType === 'sip' && asset.amount > 0) {
-                const sipResult = calculateSIP(asset.amount, years, asset.returns * 100);
+            // SIP-style asset classes hold a monthly amount, so use the SIP formula
+            if (getAssetClass(assetType, registry).contribution === 'sip') {
+                const sipResult = calculateSIP(asset.amount, years, asset.returns);
                 currentValue += sipResult.maturityValue;
             } else {
                 // For lump sum investments, use compound interest
@@ -86,30 +249,21 @@ function calculateWeightedAverageReturn(portfolio) {
 /**
  * Calculate portfolio risk score (1-10 scale)
  * @param {Object} portfolio - Portfolio object
+ * @param {Array} registry - Asset classes (default: getAssetClassRegistry())
  * @returns {number} Risk score (1 = low risk, 10 = high risk)
  */
-function calculatePortfolioRisk(portfolio) {
+function calculatePortfolioRisk(portfolio, registry = getAssetClassRegistry()) {
     if (!portfolio.assets) {
         return 5; // Default moderate risk
     }
 
-    // Risk scores for different asset classes
-    const riskScores = {
-        sip: 5,
-        stocks: 8,
-        bonds: 3,
-        realestate: 4,
-        gold: 4,
-        emergency: 1
-    };
-
     let weightedRisk = 0;
     let totalAllocation = 0;
 
     Object.keys(portfolio.assets).forEach(assetType => {
         const asset = portfolio.assets[assetType];
         if (asset.allocation) {
-            const riskScore = riskScores[assetType] || 5;
+            const riskScore = getAssetClass(assetType, registry).riskScore;
             weightedRisk += (asset.allocation / 100) * riskScore;
             totalAllocation += asset.allocation;
         }
@@ -151,6 +305,20 @@ function validatePortfolioAllocation(portfolio) {
     return { valid: true, totalAllocation: 100 };
 }
 
+/**
+ * Calculate the goal target at the end of the time horizon
+ * When the target is entered as today's cost, it is inflated forward
+ * using the portfolio's inflation rate.
+ * @param {Object} portfolio - Portfolio object with target amount
+ * @returns {number} Target amount in future rupees
+ */
+function calculateGoalTarget(portfolio) {
+    if (!portfolio.targetInTodaysValue || !portfolio.inflationRate) {
+        return portfolio.targetAmount;
+    }
+    return inflateAmount(portfolio.targetAmount, portfolio.inflationRate, portfolio.timeHorizon || 0);
+}
+
 /**
  * Calculate goal progress
  * @param {Object} portfolio - Portfolio object with target amount
@@ -161,14 +329,17 @@ function calculateGoalProgress(portfolio) {
         return null;
     }
 
+    const targetAmount = calculateGoalTarget(portfolio);
     const currentValue = calculatePortfolioReturns(portfolio);
-    const progress = (currentValue / portfolio.targetAmount) * 100;
-    const remaining = Math.max(0, portfolio.targetAmount - currentValue);
-    const isAchieved = currentValue >= portfolio.targetAmount;
+    const progress = (currentValue / targetAmount) * 100;
+    const remaining = Math.max(0, targetAmount - currentValue);
+    const isAchieved = currentValue >= targetAmount;
 
     return {
         currentValue: round(currentValue, 2),
-        targetAmount: round(portfolio.targetAmount, 2),
+        targetAmount: round(targetAmount, 2),
+        todaysCost: round(portfolio.targetAmount, 2),
+        isInflationAdjusted: targetAmount !== portfolio.targetAmount,
         progress: round(progress, 2),
         remaining: round(remaining, 2),
         isAchieved: isAchieved
@@ -177,36 +348,35 @@ function calculateGoalProgress(portfolio) {
 
 /**
  * Get recommended allocation based on risk profile
- * @param {string} riskLevel - Risk level (Conservative, Moderate, Aggressive)
+ * Weights come from each asset class in the registry and are scaled to
+ * 100% when user-defined classes add their own weights.
+ * @param {string|Object} riskLevel - Risk level (Conservative, Moderate, Aggressive) or a risk profile object
+ * @param {Array} registry - Asset classes (default: getAssetClassRegistry())
  * @returns {Object} Recommended allocation percentages
  */
-function getRecommendedAllocation(riskLevel) {
-    const allocations = {
-        conservative: {
-            sip: 40,
-            stocks: 20,
-            bonds: 30,
-            realestate: 5,
-            gold: 5
-        },
-        moderate: {
-            sip: 40,
-            stocks: 30,
-            bonds: 20,
-            realestate: 5,
-            gold: 5
-        },
-        aggressive: {
-            sip: 30,
-            stocks: 50,
-            bonds: 10,
-            realestate: 5,
-            gold: 5
+function getRecommendedAllocation(riskLevel, registry = getAssetClassRegistry()) {
+    const level = (riskLevel && riskLevel.riskLevel ? riskLevel.riskLevel : riskLevel || 'moderate').toLowerCase();
+    const key = ['conservative', 'moderate', 'aggressive'].includes(level) ? level : 'moderate';
+
+    const allocation = {};
+    registry.forEach(assetClass => {
+        const weight = assetClass.allocation ? assetClass.allocation[key] || 0 : 0;
+        if (weight > 0) {
+            allocation[assetClass.id] = weight;
         }
-    };
+    });
 
-    const level = riskLevel.toLowerCase();
-    return allocations[level] || allocations.moderate;
+    const total = Object.values(allocation).reduce((sum, val) => sum + val, 0);
+    if (total > 0 && total !== 100) {
+        Object.keys(allocation).forEach(id => {
+            allocation[id] = round((allocation[id] / total) * 100, 0);
+        });
+        // Put any rounding difference on the largest holding so the total stays 100
+        const largest = Object.keys(allocation).reduce((a, b) => allocation[a] >= allocation[b] ? a : b);
+        allocation[largest] += 100 - Object.values(allocation).reduce((sum, val) => sum + val, 0);
+    }
+
+    return allocation;
 }
 
 /**
@@ -230,8 +400,8 @@ function optimizePortfolioAllocation(constraints) {
     const riskTolerance = constraints.riskTolerance || 'moderate';
     const allocation = getRecommendedAllocation(riskTolerance);
     
-    // Adjust based on time horizon
-    if (constraints.timeHorizon) {
+    // Adjust based on time horizon (only when the profile holds both stocks and bonds)
+    if (constraints.timeHorizon && allocation.stocks !== undefined && allocation.bonds !== undefined) {
         if (constraints.timeHorizon < 5) {
             // Short term: more conservative
             allocation.stocks = Math.max(10, allocation.stocks - 10);
@@ -254,6 +424,520 @@ function optimizePortfolioAllocation(constraints) {
     return allocation;
 }
 
+/**
+ * Calculate a glide path that de-risks a goal portfolio as the goal date nears
+ * @param {number} years - Years until the goal
+ * @param {Object} options - Glide path settings
+ * @param {number} options.startEquity - Equity percentage in the first year (default: 80)
+ * @param {number} options.endEquity - Equity percentage in the final year (default: 20)
+ * @param {string} options.style - 'linear' (default) or 'stepped'
+ * @param {number} options.stepYears - Years between steps for the stepped style (default: 5)
+ * @returns {Array} Equity/debt allocation for each year
+ */
+function calculateGlidePath(years, options = {}) {
+    if (!years || years <= 0) {
+        throw new Error('Years must be a positive number');
+    }
+
+    const startEquity = options.startEquity !== undefined ? options.startEquity : 80;
+    const endEquity = options.endEquity !== undefined ? options.endEquity : 20;
+    const style = options.style || 'linear';
+    const stepYears = options.stepYears || 5;
+
+    if (startEquity < 0 || startEquity > 100 || endEquity < 0 || endEquity > 100) {
+        throw new Error('Equity percentages must be between 0 and 100');
+    }
+    if (style !== 'linear' && style !== 'stepped') {
+        throw new Error('Glide path style must be "linear" or "stepped"');
+    }
+
+    const totalYears = Math.ceil(years);
+    const steps = Math.ceil(totalYears / stepYears);
+    const path = [];
+
+    for (let year = 0; year < totalYears; year++) {
+        let progress;
+        if (style === 'linear') {
+            progress = totalYears > 1 ? year / (totalYears - 1) : 1;
+        } else {
+            progress = steps > 1 ? Math.floor(year / stepYears) / (steps - 1) : 1;
+        }
+
+        const equity = startEquity + (endEquity - startEquity) * progress;
+        path.push({
+            year: year + 1,
+            equity: round(equity, 2),
+            debt: round(100 - equity, 2)
+        });
+    }
+
+    return path;
+}
+
+/**
+ * Project a goal portfolio that follows a glide path
+ * The portfolio is rebalanced to the glide path at the start of every year,
+ * and monthly contributions are split in the same proportion.
+ * @param {Object} params - Projection inputs
+ * @param {number} params.years - Years until the goal
+ * @param {number} params.initialAmount - Amount invested today (default: 0)
+ * @param {number} params.monthlyContribution - Monthly investment (default: 0)
+ * @param {number} params.equityReturns - Expected annual equity returns percentage
+ * @param {number} params.debtReturns - Expected annual debt returns percentage
+ * @param {Object} params.glidePath - Glide path options (see calculateGlidePath)
+ * @returns {Object} Year-wise values and allocation over time
+ */
+function projectGlidePathPortfolio(params) {
+    const initialAmount = params.initialAmount || 0;
+    const monthlyContribution = params.monthlyContribution || 0;
+
+    if (initialAmount <= 0 && monthlyContribution <= 0) {
+        throw new Error('Enter an initial amount or a monthly contribution');
+    }
+
+    const path = calculateGlidePath(params.years, params.glidePath);
+    const equityRate = annualToMonthlyRate(params.equityReturns || 0);
+    const debtRate = annualToMonthlyRate(params.debtReturns || 0);
+    let total = initialAmount;
+    let invested = initialAmount;
+    const yearly = [];
+
+    path.forEach(step => {
+        let equityValue = total * step.equity / 100;
+        let debtValue = total - equityValue;
+
+        for (let month = 0; month < 12; month++) {
+            equityValue = (equityValue + monthlyContribution * step.equity / 100) * (1 + equityRate);
+            debtValue = (debtValue + monthlyContribution * step.debt / 100) * (1 + debtRate);
+        }
+
+        invested += monthlyContribution * 12;
+        total = equityValue + debtValue;
+
+        yearly.push({
+            year: step.year,
+            equityPercent: step.equity,
+            debtPercent: step.debt,
+            equityValue: round(equityValue, 2),
+            debtValue: round(debtValue, 2),
+            totalValue: round(total, 2),
+            totalInvested: round(invested, 2)
+        });
+    });
+
+    return {
+        glidePath: path,
+        yearly: yearly,
+        totalInvested: round(invested, 2),
+        maturityValue: round(total, 2),
+        returns: round(total - invested, 2)
+    };
+}
+
+const GOAL_ALLOCATION_METHODS = {
+    priority: 'Priority first',
+    proportional: 'Proportional'
+};
+
+/**
+ * Work out what a goal will cost on its target date and the SIP it needs
+ * @param {Object} goal - Goal { id, name, targetDate, todaysCost, inflationRate, priority, expectedReturns }
+ * @param {Object} options - Optional settings
+ * @param {string|Date} options.asOfDate - Date the SIP starts (default: today)
+ * @param {number} options.expectedReturns - Returns used when the goal has none (default: 12)
+ * @returns {Object} Goal with months, years, futureCost and requiredSIP
+ */
+function calculateGoalRequirement(goal, options = {}) {
+    const name = goal.name || 'Goal';
+    if (!goal.targetDate || isNaN(parseDateInput(goal.targetDate).getTime())) {
+        throw new Error(`Goal "${name}" needs a valid target date`);
+    }
+    if (!goal.todaysCost || goal.todaysCost <= 0) {
+        throw new Error(`Goal "${name}" needs a cost greater than zero`);
+    }
+
+    const months = getTimelineMonth(options.asOfDate || new Date(), goal.targetDate);
+    if (months < 1) {
+        throw new Error(`Goal "${name}" must have a target date at least a month away`);
+    }
+
+    const years = months / 12;
+    const inflationRate = goal.inflationRate || 0;
+    const expectedReturns = goal.expectedReturns !== undefined && goal.expectedReturns !== null
+        ? goal.expectedReturns
+        : (options.expectedReturns !== undefined ? options.expectedReturns : 12);
+    const futureCost = inflateAmount(goal.todaysCost, inflationRate, years);
+
+    return {
+        id: goal.id,
+        name: name,
+        targetDate: goal.targetDate,
+        todaysCost: goal.todaysCost,
+        inflationRate: inflationRate,
+        priority: goal.priority || 1,
+        expectedReturns: expectedReturns,
+        months: months,
+        years: round(years, 2),
+        futureCost: round(futureCost, 2),
+        requiredSIP: calculateRequiredSIP(futureCost, years, expectedReturns)
+    };
+}
+
+/**
+ * Split a monthly investable surplus across several goals
+ * 'priority' funds goals in priority order (1 = highest, earlier target date
+ * breaks ties) until the surplus runs out. 'proportional' gives every goal
+ * the same fraction of its required SIP.
+ * @param {Array} goals - Goals (see calculateGoalRequirement)
+ * @param {number} monthlySurplus - Amount available to invest each month
+ * @param {Object} options - Optional settings
+ * @param {string} options.method - 'priority' (default) or 'proportional'
+ * @param {string|Date} options.asOfDate - Date the SIPs start (default: today)
+ * @param {number} options.expectedReturns - Returns used when a goal has none (default: 12)
+ * @returns {Object} Per-goal allocation, totals and a combined timeline
+ */
+function allocateGoalSurplus(goals, monthlySurplus, options = {}) {
+    const method = options.method || 'priority';
+    if (!GOAL_ALLOCATION_METHODS[method]) {
+        throw new Error('Allocation method must be "priority" or "proportional"');
+    }
+    if (!goals || goals.length === 0) {
+        throw new Error('Add at least one goal');
+    }
+    if (isNaN(monthlySurplus) || monthlySurplus < 0) {
+        throw new Error('Monthly surplus cannot be negative');
+    }
+
+    const requirements = goals
+        .map(goal => calculateGoalRequirement(goal, options))
+        .sort((a, b) => a.priority - b.priority || a.months - b.months);
+    const totalRequired = requirements.reduce((sum, goal) => sum + goal.requiredSIP, 0);
+    const share = totalRequired > 0 ? Math.min(1, monthlySurplus / totalRequired) : 0;
+    let remaining = monthlySurplus;
+
+    const allocations = requirements.map(goal => {
+        let allocatedSIP;
+        if (method === 'priority') {
+            allocatedSIP = Math.min(goal.requiredSIP, remaining);
+            remaining -= allocatedSIP;
+        } else {
+            allocatedSIP = goal.requiredSIP * share;
+        }
+
+        const projectedValue = calculateSIPValue(allocatedSIP, goal.months, annualToMonthlyRate(goal.expectedReturns));
+        // requiredSIP is rounded, so a fully funded goal can miss by a few paise
+        const onTrack = allocatedSIP >= goal.requiredSIP;
+        const shortfall = onTrack ? 0 : Math.max(0, goal.futureCost - projectedValue);
+
+        return {
+            ...goal,
+            allocatedSIP: round(allocatedSIP, 2),
+            sipGap: round(goal.requiredSIP - allocatedSIP, 2),
+            projectedValue: round(projectedValue, 2),
+            shortfall: round(shortfall, 2),
+            fundedPercent: round(Math.min(100, (projectedValue / goal.futureCost) * 100), 2),
+            onTrack: onTrack
+        };
+    });
+
+    const totalAllocated = allocations.reduce((sum, goal) => sum + goal.allocatedSIP, 0);
+
+    return {
+        method: method,
+        monthlySurplus: round(monthlySurplus, 2),
+        totalRequired: round(totalRequired, 2),
+        totalAllocated: round(totalAllocated, 2),
+        unallocated: round(Math.max(0, monthlySurplus - totalAllocated), 2),
+        totalShortfall: round(allocations.reduce((sum, goal) => sum + goal.shortfall, 0), 2),
+        goals: allocations,
+        timeline: buildGoalTimeline(allocations)
+    };
+}
+
+/**
+ * Build a year-by-year view of every goal's corpus
+ * A goal's corpus is spent on its target date, so it drops out of later
+ * years and its SIP is no longer needed.
+ * @param {Array} allocations - Goals from allocateGoalSurplus
+ * @returns {Object} Labels, each goal's values, total corpus and monthly SIP per year
+ */
+function buildGoalTimeline(allocations) {
+    const totalYears = Math.ceil(Math.max(...allocations.map(goal => goal.months)) / 12);
+    const labels = [];
+    const monthlySIP = [];
+    const totalValue = [];
+    const series = allocations.map(goal => ({ id: goal.id, name: goal.name, values: [] }));
+
+    for (let year = 1; year <= totalYears; year++) {
+        let sip = 0;
+        let total = 0;
+
+        allocations.forEach((goal, index) => {
+            // Goal reached in an earlier year
+            if ((year - 1) * 12 >= goal.months) {
+                series[index].values.push(0);
+                return;
+            }
+            const value = calculateSIPValue(goal.allocatedSIP, Math.min(year * 12, goal.months), annualToMonthlyRate(goal.expectedReturns));
+            series[index].values.push(round(value, 2));
+            sip += goal.allocatedSIP;
+            total += value;
+        });
+
+        labels.push(`Year ${year}`);
+        monthlySIP.push(round(sip, 2));
+        totalValue.push(round(total, 2));
+    }
+
+    return {
+        labels: labels,
+        goals: series,
+        monthlySIP: monthlySIP,
+        totalValue: totalValue
+    };
+}
+
+/**
+ * Calculate the corpus needed at retirement to fund inflation-linked expenses
+ * Expenses are withdrawn at the start of each month and rise with inflation
+ * once a year; the rest of the corpus keeps earning the post-retirement return.
+ * @param {number} monthlyExpenses - Monthly expenses in the first year of retirement
+ * @param {number} retirementYears - Years the corpus must last
+ * @param {number} annualReturns - Expected annual returns after retirement percentage
+ * @param {number} inflationRate - Annual expense inflation after retirement percentage
+ * @returns {number} Required corpus
+ */
+function calculateRetirementCorpus(monthlyExpenses, retirementYears, annualReturns, inflationRate) {
+    const monthlyRate = annualToMonthlyRate(annualReturns);
+    const months = Math.round(retirementYears * 12);
+    let corpus = 0;
+
+    for (let month = 0; month < months; month++) {
+        const withdrawal = monthlyExpenses * Math.pow(1 + inflationRate / 100, Math.floor(month / 12));
+        corpus += withdrawal / Math.pow(1 + monthlyRate, month);
+    }
+
+    return corpus;
+}
+
+/**
+ * Plan for retirement: corpus needed, SIP needed and whether the money lasts
+ * @param {Object} params - Retirement inputs
+ * @param {number} params.currentAge - Age today (or pass params.dateOfBirth)
+ * @param {string} params.dateOfBirth - Date of birth, used when currentAge is not given
+ * @param {number} params.retirementAge - Age at retirement
+ * @param {number} params.lifeExpectancy - Age the money must last until
+ * @param {number} params.monthlyExpenses - Current monthly expenses in today's money
+ * @param {number} params.preRetirementInflation - Expense inflation until retirement percentage (default: 6)
+ * @param {number} params.postRetirementInflation - Expense inflation after retirement percentage (default: pre-retirement rate)
+ * @param {number} params.existingSavings - Retirement savings already invested (default: 0)
+ * @param {number} params.preRetirementReturns - Expected annual returns until retirement percentage (default: 12)
+ * @param {number} params.postRetirementReturns - Expected annual returns after retirement percentage (default: 7)
+ * @param {Object} params.stepUp - Step-up settings for the SIP (optional, see calculateSIP)
+ * @param {number} params.monthlySIP - SIP actually invested; defaults to the required SIP
+ * @returns {Object} Required corpus and SIP with a year-by-year accumulation and withdrawal schedule
+ */
+function calculateRetirementPlan(params) {
+    const currentAge = params.currentAge !== undefined && params.currentAge !== null
+        ? params.currentAge
+        : (params.dateOfBirth ? calculateAge(params.dateOfBirth) : NaN);
+    const retirementAge = params.retirementAge;
+    const lifeExpectancy = params.lifeExpectancy;
+
+    if (isNaN(currentAge) || currentAge < 0) {
+        throw new Error('Enter your current age or date of birth');
+    }
+    if (!retirementAge || retirementAge <= currentAge) {
+        throw new Error('Retirement age must be greater than your current age');
+    }
+    if (!lifeExpectancy || lifeExpectancy <= retirementAge) {
+        throw new Error('Life expectancy must be greater than the retirement age');
+    }
+    if (!params.monthlyExpenses || params.monthlyExpenses <= 0) {
+        throw new Error('Monthly expenses must be a positive number');
+    }
+
+    const preInflation = params.preRetirementInflation !== undefined ? params.preRetirementInflation : 6;
+    const postInflation = params.postRetirementInflation !== undefined ? params.postRetirementInflation : preInflation;
+    const preReturns = params.preRetirementReturns !== undefined ? params.preRetirementReturns : 12;
+    const postReturns = params.postRetirementReturns !== undefined ? params.postRetirementReturns : 7;
+    const existingSavings = params.existingSavings || 0;
+    const stepUp = normalizeStepUp(params.stepUp);
+
+    const yearsToRetirement = retirementAge - currentAge;
+    const retirementYears = lifeExpectancy - retirementAge;
+    const accumulationMonths = Math.round(yearsToRetirement * 12);
+    const preRate = annualToMonthlyRate(preReturns);
+    const postRate = annualToMonthlyRate(postReturns);
+
+    const expensesAtRetirement = inflateAmount(params.monthlyExpenses, preInflation, yearsToRetirement);
+    const requiredCorpus = calculateRetirementCorpus(expensesAtRetirement, retirementYears, postReturns, postInflation);
+    const existingSavingsValue = existingSavings * Math.pow(1 + preRate, accumulationMonths);
+    const corpusGap = Math.max(0, requiredCorpus - existingSavingsValue);
+    const requiredSIP = corpusGap > 0
+        ? calculateRequiredSIP(corpusGap, yearsToRetirement, preReturns, { stepUp: stepUp })
+        : 0;
+    const monthlySIP = params.monthlySIP !== undefined && params.monthlySIP !== null ? params.monthlySIP : requiredSIP;
+
+    // Accumulation: installments go in at the start of each month
+    const schedule = [];
+    let balance = existingSavings;
+    let totalInvested = existingSavings;
+    for (let year = 0; year * 12 < accumulationMonths; year++) {
+        const openingBalance = balance;
+        const installment = getStepUpInstallment(monthlySIP, year, stepUp);
+        const months = Math.min(12, accumulationMonths - year * 12);
+        let contributions = 0;
+
+        for (let month = 0; month < months; month++) {
+            balance = (balance + installment) * (1 + preRate);
+            contributions += installment;
+        }
+        totalInvested += contributions;
+
+        schedule.push({
+            year: year + 1,
+            age: currentAge + year,
+            phase: 'accumulation',
+            openingBalance: round(openingBalance, 2),
+            contributions: round(contributions, 2),
+            withdrawals: 0,
+            growth: round(balance - openingBalance - contributions, 2),
+            closingBalance: round(balance, 2)
+        });
+    }
+
+    // Withdrawal: expenses come out at the start of each month, as in calculateSWP
+    const corpusAtRetirement = balance;
+    const retirementMonths = Math.round(retirementYears * 12);
+    let totalWithdrawn = 0;
+    let depletionAge = null;
+    for (let year = 0; year * 12 < retirementMonths; year++) {
+        const openingBalance = balance;
+        const monthlyWithdrawal = expensesAtRetirement * Math.pow(1 + postInflation / 100, year);
+        const months = Math.min(12, retirementMonths - year * 12);
+        let withdrawals = 0;
+
+        for (let month = 0; month < months; month++) {
+            const withdrawal = Math.min(monthlyWithdrawal, balance);
+            // Allow for the rounded SIP leaving the last withdrawal a few rupees short
+            if (withdrawal < monthlyWithdrawal * 0.999 && depletionAge === null) {
+                depletionAge = round(retirementAge + year + month / 12, 1);
+            }
+            balance = (balance - withdrawal) * (1 + postRate);
+            withdrawals += withdrawal;
+        }
+        totalWithdrawn += withdrawals;
+
+        schedule.push({
+            year: schedule.length + 1,
+            age: retirementAge + year,
+            phase: 'retirement',
+            openingBalance: round(openingBalance, 2),
+            contributions: 0,
+            withdrawals: round(withdrawals, 2),
+            growth: round(balance - openingBalance + withdrawals, 2),
+            closingBalance: round(balance, 2)
+        });
+    }
+
+    return {
+        currentAge: currentAge,
+        retirementAge: retirementAge,
+        lifeExpectancy: lifeExpectancy,
+        yearsToRetirement: yearsToRetirement,
+        retirementYears: retirementYears,
+        monthlyExpensesAtRetirement: round(expensesAtRetirement, 2),
+        requiredCorpus: round(requiredCorpus, 2),
+        corpusMultiple: round(requiredCorpus / (expensesAtRetirement * 12), 1),
+        existingSavingsValue: round(existingSavingsValue, 2),
+        corpusGap: round(corpusGap, 2),
+        requiredSIP: requiredSIP,
+        stepUp: stepUp,
+        monthlySIP: round(monthlySIP, 2),
+        totalInvested: round(totalInvested, 2),
+        corpusAtRetirement: round(corpusAtRetirement, 2),
+        totalWithdrawn: round(totalWithdrawn, 2),
+        finalBalance: round(balance, 2),
+        depletionAge: depletionAge,
+        moneyLasts: depletionAge === null,
+        schedule: schedule
+    };
+}
+
+/**
+ * Months of expenses to hold as an emergency fund, keyed by the risk
+ * questionnaire's income stability answer
+ */
+const EMERGENCY_FUND_MONTHS = {
+    unstable: 12,
+    stable: 9,
+    'very-stable': 6
+};
+
+/**
+ * Plan an emergency fund and the liquid-fund SIP that builds it up
+ * @param {Object} params - Emergency fund inputs
+ * @param {number} params.monthlyExpenses - Essential monthly expenses
+ * @param {string} params.incomeStability - 'unstable', 'stable' (default) or 'very-stable'
+ * @param {number} params.currentSavings - Amount already set aside (default: 0)
+ * @param {number} params.buildUpMonths - Months to close the gap in (default: 12)
+ * @param {number} params.liquidFundReturns - Expected annual liquid fund returns percentage (default: 6.5)
+ * @returns {Object} Target, current coverage and build-up SIP
+ */
+function calculateEmergencyFund(params) {
+    if (!params.monthlyExpenses || params.monthlyExpenses <= 0) {
+        throw new Error('Monthly expenses must be a positive number');
+    }
+
+    const incomeStability = params.incomeStability || 'stable';
+    const targetMonths = EMERGENCY_FUND_MONTHS[incomeStability];
+    if (!targetMonths) {
+        throw new Error('Income stability must be "unstable", "stable" or "very-stable"');
+    }
+
+    const currentSavings = params.currentSavings || 0;
+    const buildUpMonths = params.buildUpMonths || 12;
+    const liquidFundReturns = params.liquidFundReturns !== undefined ? params.liquidFundReturns : 6.5;
+    const targetAmount = params.monthlyExpenses * targetMonths;
+    const isFunded = currentSavings >= targetAmount;
+
+    // Savings already in the liquid fund keep earning while the SIP fills the gap
+    const savingsValue = currentSavings * Math.pow(1 + annualToMonthlyRate(liquidFundReturns), buildUpMonths);
+    const gap = Math.max(0, targetAmount - savingsValue);
+    const monthlySIP = !isFunded && gap > 0
+        ? calculateRequiredSIP(gap, buildUpMonths / 12, liquidFundReturns)
+        : 0;
+
+    return {
+        monthlyExpenses: round(params.monthlyExpenses, 2),
+        incomeStability: incomeStability,
+        targetMonths: targetMonths,
+        targetAmount: round(targetAmount, 2),
+        currentSavings: round(currentSavings, 2),
+        coverageMonths: round(currentSavings / params.monthlyExpenses, 1),
+        coveragePercent: round(Math.min(100, (currentSavings / targetAmount) * 100), 2),
+        shortfall: round(Math.max(0, targetAmount - currentSavings), 2),
+        isFunded: isFunded,
+        buildUpMonths: buildUpMonths,
+        liquidFundReturns: liquidFundReturns,
+        monthlySIP: monthlySIP,
+        totalContribution: round(monthlySIP * buildUpMonths, 2)
+    };
+}
+
+/**
+ * Get the emergency fund status from saved settings
+ * @param {Object} settings - Saved emergency fund inputs (see calculateEmergencyFund)
+ * @returns {Object|null} Emergency fund plan, or null if nothing has been saved
+ */
+function getEmergencyFundStatus(settings) {
+    if (!settings || !settings.monthlyExpenses) {
+        return null;
+    }
+    return calculateEmergencyFund(settings);
+}
+
 /**
  * Calculate portfolio performance metrics
  * @param {Object} portfolio - Portfolio object
@@ -267,10 +951,12 @@ function calculatePortfolioMetrics(portfolio) {
     const weightedReturn = calculateWeightedAverageReturn(portfolio);
     const riskScore = calculatePortfolioRisk(portfolio);
     const goalProgress = calculateGoalProgress(portfolio);
+    const realValue = adjustForInflation(currentValue, portfolio.inflationRate || 0, portfolio.timeHorizon || 0);
 
     return {
         totalInvested: round(totalInvested, 2),
         currentValue: round(currentValue, 2),
+        realValue: round(realValue, 2),
         returns: round(returns, 2),
         roi: round(roi, 2),
         weightedAverageReturn: weightedReturn,
@@ -279,19 +965,363 @@ function calculatePortfolioMetrics(portfolio) {
     };
 }
 
+/**
+ * Get current holdings per asset class
+ * Uses the recorded market value when available, otherwise the amount invested.
+ * @param {Object} portfolio - Portfolio object
+ * @returns {Object} Current value per asset type
+ */
+function getPortfolioHoldings(portfolio) {
+    const holdings = {};
+    Object.keys(portfolio.assets || {}).forEach(assetType => {
+        const recorded = portfolio.holdings ? portfolio.holdings[assetType] : undefined;
+        holdings[assetType] = recorded !== undefined ? recorded : (portfolio.assets[assetType].amount || 0);
+    });
+    return holdings;
+}
+
+/**
+ * Get target allocation of a portfolio
+ * @param {Object} portfolio - Portfolio object
+ * @returns {Object} Target allocation percentages per asset type
+ */
+function getPortfolioTargetAllocation(portfolio) {
+    const target = {};
+    Object.keys(portfolio.assets || {}).forEach(assetType => {
+        target[assetType] = portfolio.assets[assetType].allocation || 0;
+    });
+    return target;
+}
+
+/**
+ * Calculate allocation drift against a target allocation
+ * @param {Object} holdings - Current value per asset type
+ * @param {Object} targetAllocation - Target percentage per asset type
+ * @param {number} threshold - Allowed drift in percentage points (default: 5)
+ * @returns {Object} Drift per asset and whether rebalancing is needed
+ */
+function calculateAllocationDrift(holdings, targetAllocation, threshold = 5) {
+    const assetTypes = [...new Set([...Object.keys(holdings), ...Object.keys(targetAllocation)])];
+    const totalValue = assetTypes.reduce((sum, type) => sum + (holdings[type] || 0), 0);
+
+    if (totalValue <= 0) {
+        throw new Error('Holdings must have a positive total value');
+    }
+
+    const assets = assetTypes.map(assetType => {
+        const currentValue = holdings[assetType] || 0;
+        const currentPercent = (currentValue / totalValue) * 100;
+        const targetPercent = targetAllocation[assetType] || 0;
+        const drift = currentPercent - targetPercent;
+
+        return {
+            assetType: assetType,
+            currentValue: round(currentValue, 2),
+            currentPercent: round(currentPercent, 2),
+            targetPercent: round(targetPercent, 2),
+            drift: round(drift, 2),
+            breached: Math.abs(drift) > threshold
+        };
+    });
+
+    return {
+        totalValue: round(totalValue, 2),
+        threshold: threshold,
+        assets: assets,
+        maxDrift: round(Math.max(...assets.map(a => Math.abs(a.drift))), 2),
+        needsRebalancing: assets.some(a => a.breached)
+    };
+}
+
+/**
+ * Generate a trade list that restores the target allocation
+ * 'full' mode buys and sells to reach the target exactly. 'new-money' mode
+ * never sells: fresh investment goes to underweight assets first, and any
+ * remainder is split by target weight.
+ * @param {Object} holdings - Current value per asset type
+ * @param {Object} targetAllocation - Target percentage per asset type
+ * @param {Object} options - Optional settings
+ * @param {string} options.mode - 'full' (default) or 'new-money'
+ * @param {number} options.newMoney - Fresh investment to deploy (default: 0)
+ * @returns {Object} Trades and resulting allocation
+ */
+function generateRebalancingTrades(holdings, targetAllocation, options = {}) {
+    const mode = options.mode || 'full';
+    const newMoney = options.newMoney || 0;
+
+    if (mode !== 'full' && mode !== 'new-money') {
+        throw new Error('Rebalancing mode must be "full" or "new-money"');
+    }
+    if (mode === 'new-money' && newMoney <= 0) {
+        throw new Error('New money must be a positive amount in new-money mode');
+    }
+
+    const assetTypes = [...new Set([...Object.keys(holdings), ...Object.keys(targetAllocation)])];
+    const currentTotal = assetTypes.reduce((sum, type) => sum + (holdings[type] || 0), 0);
+    const finalTotal = currentTotal + newMoney;
+    const targetTotal = assetTypes.reduce((sum, type) => sum + (targetAllocation[type] || 0), 0) || 100;
+    const trades = {};
+
+    if (mode === 'full') {
+        assetTypes.forEach(type => {
+            const targetValue = finalTotal * (targetAllocation[type] || 0) / targetTotal;
+            trades[type] = targetValue - (holdings[type] || 0);
+        });
+    } else {
+        const deficits = {};
+        assetTypes.forEach(type => {
+            const targetValue = finalTotal * (targetAllocation[type] || 0) / targetTotal;
+            deficits[type] = Math.max(0, targetValue - (holdings[type] || 0));
+        });
+        const totalDeficit = Object.values(deficits).reduce((sum, d) => sum + d, 0);
+        const deployed = Math.min(newMoney, totalDeficit);
+        const remainder = newMoney - deployed;
+
+        assetTypes.forEach(type => {
+            const share = totalDeficit > 0 ? deployed * deficits[type] / totalDeficit : 0;
+            trades[type] = share + remainder * (targetAllocation[type] || 0) / targetTotal;
+        });
+    }
+
+    const tradeList = assetTypes
+        .filter(type => Math.abs(trades[type]) >= 1)
+        .map(type => ({
+            assetType: type,
+            action: trades[type] > 0 ? 'buy' : 'sell',
+            amount: round(Math.abs(trades[type]), 2)
+        }));
+
+    const resultingAllocation = {};
+    assetTypes.forEach(type => {
+        resultingAllocation[type] = round(((holdings[type] || 0) + trades[type]) / finalTotal * 100, 2);
+    });
+
+    return {
+        mode: mode,
+        newMoney: round(newMoney, 2),
+        trades: tradeList,
+        totalBuys: round(tradeList.filter(t => t.action === 'buy').reduce((sum, t) => sum + t.amount, 0), 2),
+        totalSells: round(tradeList.filter(t => t.action === 'sell').reduce((sum, t) => sum + t.amount, 0), 2),
+        resultingAllocation: resultingAllocation
+    };
+}
+
+/**
+ * Default correlations between asset classes (unlisted pairs are uncorrelated)
+ */
+const DEFAULT_ASSET_CORRELATIONS = {
+    'sip:stocks': 0.85,
+    'sip:bonds': 0.1,
+    'stocks:bonds': 0.1,
+    'sip:gold': -0.1,
+    'stocks:gold': -0.1,
+    'realestate:stocks': 0.3,
+    'realestate:sip': 0.3
+};
+
+/**
+ * Build a correlation matrix for a list of asset types
+ * @param {Array} assetTypes - Asset type keys
+ * @param {Object} correlations - Pair correlations keyed "a:b" (optional)
+ * @returns {Array} Symmetric correlation matrix
+ */
+function buildCorrelationMatrix(assetTypes, correlations = DEFAULT_ASSET_CORRELATIONS) {
+    return assetTypes.map((a, i) => assetTypes.map((b, j) => {
+        if (i === j) return 1;
+        const value = correlations[`${a}:${b}`] !== undefined
+            ? correlations[`${a}:${b}`]
+            : correlations[`${b}:${a}`];
+        return value !== undefined ? value : 0;
+    }));
+}
+
+/**
+ * Cholesky decomposition of a correlation matrix (lower triangular)
+ * @param {Array} matrix - Symmetric positive-definite matrix
+ * @returns {Array} Lower triangular matrix L where L × Lᵀ = matrix
+ */
+function choleskyDecomposition(matrix) {
+    const n = matrix.length;
+    const lower = matrix.map(() => new Array(n).fill(0));
+
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = 0;
+            for (let k = 0; k < j; k++) {
+                sum += lower[i][k] * lower[j][k];
+            }
+            if (i === j) {
+                const diagonal = matrix[i][i] - sum;
+                if (diagonal <= 0) {
+                    throw new Error('Correlation matrix must be positive definite');
+                }
+                lower[i][j] = Math.sqrt(diagonal);
+            } else {
+                lower[i][j] = (matrix[i][j] - sum) / lower[j][j];
+            }
+        }
+    }
+
+    return lower;
+}
+
+/**
+ * Run a Monte Carlo simulation of portfolio outcomes
+ * Each year every asset class draws a return from a normal distribution
+ * (mean = asset returns, standard deviation = volatility), correlated across
+ * assets. SIP assets contribute monthly and compound at a twelfth of the
+ * year's return each month, like calculateSIP; other assets grow as lump sums
+ * compounding yearly. With no volatility every path matches
+ * calculatePortfolioReturns.
+ * @param {Object} portfolio - Portfolio object
+ * @param {Object} options - Simulation settings
+ * @param {number} options.simulations - Number of paths (default: 1000)
+ * @param {number} options.seed - Seed for reproducible results (default: 42)
+ * @param {number} options.years - Years to simulate (default: portfolio time horizon)
+ * @param {Object} options.volatility - Annual volatility % per asset type (default: from the asset-class registry)
+ * @param {Array|Object} options.correlation - Correlation matrix (in asset order) or pair map
+ * @param {Array} options.registry - Asset classes (default: getAssetClassRegistry())
+ * @returns {Object} Percentile bands per year and probability of reaching the target
+ */
+function runMonteCarloSimulation(portfolio, options = {}) {
+    if (!portfolio.assets) {
+        throw new Error('Portfolio has no assets');
+    }
+
+    const years = options.years || portfolio.timeHorizon;
+    if (!years || years <= 0) {
+        throw new Error('Time horizon must be a positive number');
+    }
+
+    const simulations = options.simulations || 1000;
+    const seed = options.seed !== undefined ? options.seed : 42;
+    const random = createSeededRandom(seed);
+    const registry = options.registry || getAssetClassRegistry();
+
+    const assetTypes = Object.keys(portfolio.assets).filter(type => {
+        const asset = portfolio.assets[type];
+        return asset.amount > 0;
+    });
+    const volatility = {};
+    const isSIP = {};
+    assetTypes.forEach(type => {
+        const assetClass = getAssetClass(type, registry);
+        volatility[type] = options.volatility && options.volatility[type] !== undefined
+            ? options.volatility[type]
+            : assetClass.volatility;
+        isSIP[type] = assetClass.contribution === 'sip';
+    });
+    const correlationMatrix = Array.isArray(options.correlation)
+        ? options.correlation
+        : buildCorrelationMatrix(assetTypes, options.correlation);
+    const cholesky = choleskyDecomposition(correlationMatrix);
+
+    // yearValues[year][path] = total portfolio value at the end of that year
+    const yearValues = [];
+    for (let year = 0; year < years; year++) {
+        yearValues.push(new Array(simulations));
+    }
+
+    for (let path = 0; path < simulations; path++) {
+        const balances = assetTypes.map(type => isSIP[type] ? 0 : portfolio.assets[type].amount);
+
+        for (let year = 0; year < years; year++) {
+            const shocks = assetTypes.map(() => randomNormal(random));
+            let total = 0;
+
+            assetTypes.forEach((type, i) => {
+                const asset = portfolio.assets[type];
+                let correlatedShock = 0;
+                for (let k = 0; k <= i; k++) {
+                    correlatedShock += cholesky[i][k] * shocks[k];
+                }
+                // A year can lose at most 99% of the value
+                const annualReturn = Math.max(-0.99, (asset.returns + (volatility[type] || 0) * correlatedShock) / 100);
+
+                if (isSIP[type]) {
+                    const monthlyRate = annualReturn / 12;
+                    for (let month = 0; month < 12; month++) {
+                        balances[i] = (balances[i] + asset.amount) * (1 + monthlyRate);
+                    }
+                } else {
+                    balances[i] *= 1 + annualReturn;
+                }
+                total += balances[i];
+            });
+
+            yearValues[year][path] = total;
+        }
+    }
+
+    const targetAmount = portfolio.targetAmount > 0 ? calculateGoalTarget(portfolio) : null;
+    const bands = { p10: [], p50: [], p90: [], mean: [] };
+
+    yearValues.forEach(values => {
+        values.sort((a, b) => a - b);
+        bands.p10.push(round(calculatePercentile(values, 10), 2));
+        bands.p50.push(round(calculatePercentile(values, 50), 2));
+        bands.p90.push(round(calculatePercentile(values, 90), 2));
+        bands.mean.push(round(values.reduce((sum, v) => sum + v, 0) / values.length, 2));
+    });
+
+    const finalValues = yearValues[yearValues.length - 1];
+    const successCount = targetAmount ? finalValues.filter(v => v >= targetAmount).length : 0;
+
+    return {
+        simulations: simulations,
+        seed: seed,
+        years: years,
+        labels: yearValues.map((_, i) => `Year ${i + 1}`),
+        percentiles: bands,
+        final: {
+            p10: bands.p10[bands.p10.length - 1],
+            p50: bands.p50[bands.p50.length - 1],
+            p90: bands.p90[bands.p90.length - 1],
+            mean: bands.mean[bands.mean.length - 1]
+        },
+        targetAmount: targetAmount ? round(targetAmount, 2) : null,
+        probabilityOfSuccess: targetAmount ? round((successCount / simulations) * 100, 2) : null
+    };
+}
+
 // Export functions
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        ASSET_CONTRIBUTION_STYLES,
+        ASSET_TAX_TREATMENTS,
+        DEFAULT_ASSET_CLASSES,
+        normalizeAssetClass,
+        getAssetClassRegistry,
+        getAssetClass,
         calculatePortfolioValue,
         calculatePortfolioReturns,
         calculateWeightedAverageReturn,
         calculatePortfolioRisk,
         validatePortfolioAllocation,
+        calculateGoalTarget,
         calculateGoalProgress,
         getRecommendedAllocation,
         calculateRequiredMonthlyInvestment,
         optimizePortfolioAllocation,
-        calculatePortfolioMetrics
+        calculatePortfolioMetrics,
+        calculateGlidePath,
+        projectGlidePathPortfolio,
+        GOAL_ALLOCATION_METHODS,
+        calculateGoalRequirement,
+        allocateGoalSurplus,
+        buildGoalTimeline,
+        calculateRetirementCorpus,
+        calculateRetirementPlan,
+        EMERGENCY_FUND_MONTHS,
+        calculateEmergencyFund,
+        getEmergencyFundStatus,
+        getPortfolioHoldings,
+        getPortfolioTargetAllocation,
+        calculateAllocationDrift,
+        generateRebalancingTrades,
+        buildCorrelationMatrix,
+        choleskyDecomposition,
+        runMonteCarloSimulation
     };
 }
 
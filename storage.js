@@ -1,34 +1,927 @@
-// Storage utility functions using localStorage
+// Storage utility functions
+// Saved data is loaded into memory once per page (see initStorage), kept up to date with
+// saves made in other open tabs, and read and written synchronously from there; every
+// write is then saved in the background by a storage adapter: IndexedDB where the
+// browser supports it, otherwise localStorage.
 
-// Get data from localStorage
+// Version of the stored data shape; bump it and add a migration whenever a stored shape changes
+const STORAGE_SCHEMA_VERSION = 3;
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// Keys holding app data (everything exportAllData writes out)
+const STORAGE_KEYS = ['sipScenarios', 'portfolios', 'riskProfile', 'goalPlan', 'emergencyFund', 'assetClasses', 'comparisonSIPs'];
+
+// Key holding the data overwritten by the last import, so it can be undone
+const LAST_IMPORT_KEY = 'lastImport';
+
+// Profiles (household members), the profile whose data the app shows, and the keys saved
+// separately for each profile (as "profile:<id>:<key>"); other keys are shared by the household
+const PROFILES_KEY = 'profiles';
+const ACTIVE_PROFILE_KEY = 'activeProfile';
+const PROFILE_KEY_PREFIX = 'profile:';
+const PROFILE_KEYS = ['sipScenarios', 'portfolios', 'riskProfile', 'goalPlan', 'emergencyFund', 'comparisonSIPs', LAST_IMPORT_KEY];
+const DEFAULT_PROFILE_NAME = 'Me';
+
+// Key holding the encryption settings (saved unencrypted, and only while encryption is on)
+const ENCRYPTION_KEY = 'encryption';
+
+// Shared keys the app saves (the localStorage adapter reads only these and profile keys, leaving others such as the theme alone)
+const STORED_KEYS = STORAGE_KEYS.concat([SCHEMA_VERSION_KEY, LAST_IMPORT_KEY, PROFILES_KEY, ACTIVE_PROFILE_KEY, ENCRYPTION_KEY]);
+
+// Passphrase encryption: a random AES-GCM data key encrypts every saved value and is itself
+// saved wrapped with a key derived from the passphrase (PBKDF2), so changing the passphrase
+// only re-wraps the data key. Encrypted backups use a passphrase-derived key directly.
+const PBKDF2_ITERATIONS = 600000;
+const MIN_PASSPHRASE_LENGTH = 8;
+const ENCRYPTED_EXPORT_FORMAT = 'investment-planner-encrypted';
+
+// IndexedDB database: collections get an object store each (one entry per record, keyed by
+// [storage key, position] and indexed by id and date), everything else is kept by key in the settings store
+const INDEXED_DB_NAME = 'investment-planner';
+const INDEXED_DB_VERSION = 2;
+const SETTINGS_STORE = 'settings';
+const COLLECTION_STORES = ['sipScenarios', 'comparisonSIPs', 'portfolios', 'assetClasses'];
+
+// Channel open tabs use to tell each other which keys they saved
+const STORAGE_CHANNEL_NAME = 'investment-planner-storage';
+
+// Migrations keyed by the version they upgrade from; each returns the data in the next version's shape
+const STORAGE_MIGRATIONS = {
+    // 1 → 2: SIP scenarios and comparison SIPs use monthlyAmount / period / expectedReturns
+    1: function(data) {
+        const migrated = { ...data };
+        const normalize = scenario => scenario && typeof scenario === 'object' ? normalizeSIPScenario(scenario) : scenario;
+        if (Array.isArray(data.sipScenarios)) {
+            migrated.sipScenarios = data.sipScenarios.map(normalize);
+        }
+        if (Array.isArray(data.comparisonSIPs)) {
+            migrated.comparisonSIPs = data.comparisonSIPs.map(normalize);
+        }
+        return migrated;
+    },
+    // 2 → 3: saved data moves into a first profile (see ensureProfiles); the data itself is unchanged
+    2: function(data) {
+        return { ...data };
+    }
+};
+
+// null until the stored data has been checked, then true, or the message explaining why it cannot be used
+let storageSchemaStatus = null;
+
+// Saved data by key (null until initStorage has loaded it), the adapter saving it, and pending writes
+let storageCache = null;
+let storageAdapter = null;
+let storageReady = null;
+let storageWriteQueue = Promise.resolve();
+
+// The loaded but still encrypted data waiting for unlockStorage, and while encrypted data is
+// open: the unencrypted adapter underneath, the data key and the saved encryption settings
+let lockedStorage = null;
+let storageEncryption = null;
+
+// BroadcastChannel to the app's other open tabs (null where not supported)
+let storageChannel = null;
+
+// A storage adapter saves app data by key. Each method returns a promise:
+//   load()          resolves to an object of every saved value, keyed by storage key
+//   set(key, value) saves one value
+//   remove(key)     deletes one value
+//   clear()         deletes everything the app saved
+
+// Get the key a profile's data is saved under
+function getProfileStorageKey(profileId, key) {
+    return `${PROFILE_KEY_PREFIX}${profileId}:${key}`;
+}
+
+// Check a key is one the app saves
+function isStoredKey(key) {
+    if (STORED_KEYS.includes(key)) {
+        return true;
+    }
+    return key.startsWith(PROFILE_KEY_PREFIX) && PROFILE_KEYS.includes(key.split(':').pop());
+}
+
+// Get the app's keys in localStorage
+function getLocalStorageKeys() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        keys.push(localStorage.key(i));
+    }
+    return keys.filter(isStoredKey);
+}
+
+// Storage adapter backed by localStorage (values saved as JSON)
+function createLocalStorageAdapter() {
+    return {
+        name: 'localStorage',
+        load: function() {
+            return Promise.resolve().then(() => {
+                const data = {};
+                getLocalStorageKeys().forEach(key => {
+                    const raw = localStorage.getItem(key);
+                    try {
+                        data[key] = JSON.parse(raw);
+                    } catch (error) {
+                        console.error(`Skipping unreadable data for key "${key}":`, error);
+                    }
+                });
+                return data;
+            });
+        },
+        set: function(key, value) {
+            return Promise.resolve().then(() => localStorage.setItem(key, JSON.stringify(value)));
+        },
+        remove: function(key) {
+            return Promise.resolve().then(() => localStorage.removeItem(key));
+        },
+        clear: function() {
+            return Promise.resolve().then(() => getLocalStorageKeys().forEach(key => localStorage.removeItem(key)));
+        }
+    };
+}
+
+// Resolve once an IndexedDB transaction has been committed
+function indexedDBTransactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction was aborted'));
+    });
+}
+
+// Open (creating or upgrading if needed) the app's IndexedDB database
+function openIndexedDBAdapter(name = INDEXED_DB_NAME) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, INDEXED_DB_VERSION);
+        request.onupgradeneeded = function(event) {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+                db.createObjectStore(SETTINGS_STORE);
+            }
+            COLLECTION_STORES.forEach(storeName => {
+                if (db.objectStoreNames.contains(storeName)) {
+                    // Version 1 keyed records by position alone; add the storage key in front
+                    if (event.oldVersion < 2) {
+                        const store = request.transaction.objectStore(storeName);
+                        const keys = store.getAllKeys();
+                        const records = store.getAll();
+                        records.onsuccess = function() {
+                            store.clear();
+                            records.result.forEach((record, index) => store.put(record, [storeName, keys.result[index]]));
+                        };
+                    }
+                    return;
+                }
+                const store = db.createObjectStore(storeName);
+                store.createIndex('id', 'id', { unique: false });
+                store.createIndex('date', 'timestamp', { unique: false });
+            });
+        };
+        request.onsuccess = () => resolve(createIndexedDBAdapter(request.result));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Get the object store holding a collection (profile keys end in the collection name), or null
+function getCollectionStore(key) {
+    const entity = String(key).split(':').pop();
+    return COLLECTION_STORES.includes(entity) ? entity : null;
+}
+
+// Key range covering every record saved under one storage key
+function getCollectionKeyRange(key) {
+    return IDBKeyRange.bound([key, 0], [key, Infinity]);
+}
+
+// Storage adapter backed by an open IndexedDB database
+// Collection records are keyed by their storage key and position in the list; empty or
+// malformed collections are kept in the settings store so they load back exactly as saved.
+function createIndexedDBAdapter(db) {
+    // Let a newer version of the app in another tab upgrade the database
+    db.onversionchange = () => db.close();
+
+    return {
+        name: 'indexedDB',
+        load: function() {
+            const transaction = db.transaction([SETTINGS_STORE].concat(COLLECTION_STORES), 'readonly');
+            const settings = transaction.objectStore(SETTINGS_STORE);
+            const keys = settings.getAllKeys();
+            const values = settings.getAll();
+            const collections = COLLECTION_STORES.map(storeName => {
+                const store = transaction.objectStore(storeName);
+                return { keys: store.getAllKeys(), records: store.getAll() };
+            });
+
+            return indexedDBTransactionDone(transaction).then(() => {
+                const data = {};
+                keys.result.forEach((key, index) => {
+                    data[key] = values.result[index];
+                });
+                // Records come back ordered by [storage key, position]
+                collections.forEach(collection => {
+                    collection.keys.result.forEach(([key], index) => {
+                        if (index === 0 || collection.keys.result[index - 1][0] !== key) {
+                            data[key] = [];
+                        }
+                        data[key].push(collection.records.result[index]);
+                    });
+                });
+                return data;
+            });
+        },
+        set: function(key, value) {
+            const storeName = getCollectionStore(key);
+            if (!storeName) {
+                const transaction = db.transaction(SETTINGS_STORE, 'readwrite');
+                transaction.objectStore(SETTINGS_STORE).put(value, key);
+                return indexedDBTransactionDone(transaction);
+            }
+
+            // Collections are rewritten whole
+            const transaction = db.transaction([SETTINGS_STORE, storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const settings = transaction.objectStore(SETTINGS_STORE);
+            store.delete(getCollectionKeyRange(key));
+            settings.delete(key);
+            if (Array.isArray(value) && value.length > 0) {
+                value.forEach((record, index) => store.put(record, [key, index]));
+            } else {
+                settings.put(value, key);
+            }
+            return indexedDBTransactionDone(transaction);
+        },
+        remove: function(key) {
+            const storeName = getCollectionStore(key);
+            const transaction = db.transaction(storeName ? [SETTINGS_STORE, storeName] : [SETTINGS_STORE], 'readwrite');
+            transaction.objectStore(SETTINGS_STORE).delete(key);
+            if (storeName) {
+                transaction.objectStore(storeName).delete(getCollectionKeyRange(key));
+            }
+            return indexedDBTransactionDone(transaction);
+        },
+        clear: function() {
+            const storeNames = [SETTINGS_STORE].concat(COLLECTION_STORES);
+            const transaction = db.transaction(storeNames, 'readwrite');
+            storeNames.forEach(storeName => transaction.objectStore(storeName).clear());
+            return indexedDBTransactionDone(transaction);
+        }
+    };
+}
+
+// Get the browser's WebCrypto API
+function getWebCrypto() {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        throw new Error('Encryption needs a browser with WebCrypto (open the app over https or from localhost)');
+    }
+    return crypto.subtle;
+}
+
+// Encode bytes as base64
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+// Decode base64 to bytes
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// Get random bytes (for salts and IVs)
+function getRandomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+}
+
+// Check a new passphrase is long enough
+function validatePassphrase(passphrase) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+}
+
+// Derive an AES-GCM key from a passphrase with PBKDF2 (SHA-256)
+function derivePassphraseKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+    return Promise.resolve().then(() => {
+        if (!passphrase) {
+            throw new Error('Passphrase is required');
+        }
+        const subtle = getWebCrypto();
+        return subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+            .then(baseKey => subtle.deriveKey(
+                { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+                baseKey,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
+            ));
+    });
+}
+
+// Encrypt a value (as JSON) with AES-GCM
+function encryptJSON(key, value) {
+    const iv = getRandomBytes(12);
+    return getWebCrypto().encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(JSON.stringify(value)))
+        .then(data => ({ cipher: 'AES-GCM', iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) }));
+}
+
+// Decrypt a value encrypted by encryptJSON
+function decryptJSON(key, envelope) {
+    return getWebCrypto().decrypt({ name: 'AES-GCM', iv: base64ToBytes(envelope.iv) }, key, base64ToBytes(envelope.data))
+        .then(data => JSON.parse(new TextDecoder().decode(data)));
+}
+
+// Check a saved value was encrypted by encryptJSON
+function isEncryptedValue(value) {
+    return !!value && value.cipher === 'AES-GCM' && typeof value.iv === 'string' && typeof value.data === 'string';
+}
+
+// Wrap the data key with a passphrase, giving the encryption settings to save
+function wrapDataKey(dataKey, passphrase) {
+    const salt = getRandomBytes(16);
+    const iv = getRandomBytes(12);
+    return derivePassphraseKey(passphrase, salt)
+        .then(passphraseKey => getWebCrypto().wrapKey('raw', dataKey, passphraseKey, { name: 'AES-GCM', iv: iv }))
+        .then(wrappedKey => ({
+            version: 1,
+            kdf: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: PBKDF2_ITERATIONS,
+            salt: bytesToBase64(salt),
+            iv: bytesToBase64(iv),
+            wrappedKey: bytesToBase64(new Uint8Array(wrappedKey))
+        }));
+}
+
+// Unwrap the data key with the passphrase; rejects when the passphrase is wrong
+function unwrapDataKey(settings, passphrase) {
+    return derivePassphraseKey(passphrase, base64ToBytes(settings.salt), settings.iterations)
+        .then(passphraseKey => getWebCrypto().unwrapKey(
+            'raw',
+            base64ToBytes(settings.wrappedKey),
+            passphraseKey,
+            { name: 'AES-GCM', iv: base64ToBytes(settings.iv) },
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        ).catch(() => {
+            throw new Error('Incorrect passphrase');
+        }));
+}
+
+// Storage adapter that encrypts every value before saving it through another adapter
+// Records in a list are encrypted one by one, keeping their id and timestamp readable so
+// IndexedDB can still index them. Values saved before encryption was turned on are read as they are.
+function createEncryptedStorageAdapter(adapter, dataKey, settings) {
+    const encryptRecord = record => encryptJSON(dataKey, record).then(envelope => {
+        if (record && typeof record === 'object') {
+            if (record.id !== undefined) envelope.id = record.id;
+            if (record.timestamp !== undefined) envelope.timestamp = record.timestamp;
+        }
+        return envelope;
+    });
+    const decryptValue = value => {
+        if (Array.isArray(value)) {
+            return Promise.all(value.map(decryptValue));
+        }
+        return isEncryptedValue(value) ? decryptJSON(dataKey, value) : Promise.resolve(value);
+    };
+
+    return {
+        name: adapter.name,
+        settings: settings,
+        load: function() {
+            return adapter.load().then(data => {
+                delete data[ENCRYPTION_KEY];
+                const keys = Object.keys(data);
+                return Promise.all(keys.map(key => decryptValue(data[key]))).then(values => {
+                    const decrypted = {};
+                    keys.forEach((key, index) => {
+                        decrypted[key] = values[index];
+                    });
+                    return decrypted;
+                });
+            });
+        },
+        set: function(key, value) {
+            const encrypted = Array.isArray(value) ? Promise.all(value.map(encryptRecord)) : encryptJSON(dataKey, value);
+            return encrypted.then(data => adapter.set(key, data));
+        },
+        remove: function(key) {
+            return adapter.remove(key);
+        },
+        clear: function() {
+            // Clearing the data keeps encryption on
+            return adapter.clear().then(() => adapter.set(ENCRYPTION_KEY, this.settings));
+        }
+    };
+}
+
+// Load everything an adapter has saved
+function loadStorageAdapter(adapter) {
+    return adapter.load().then(data => ({ adapter: adapter, data: data }));
+}
+
+// Move data saved in localStorage by earlier versions of the app into a new, empty IndexedDB database
+// localStorage is only cleared once everything has been copied; a failed copy is rolled back.
+function migrateFromLocalStorage(adapter, data) {
+    if (Object.keys(data).length > 0) {
+        return Promise.resolve(data);
+    }
+
+    const legacy = createLocalStorageAdapter();
+    const unreadable = error => {
+        console.error('Skipping unreadable localStorage data:', error);
+        return {};
+    };
+    return legacy.load().catch(unreadable).then(saved => {
+        const keys = Object.keys(saved);
+        return Promise.all(keys.map(key => adapter.set(key, saved[key])))
+            .catch(error => adapter.clear().then(() => { throw error; }))
+            .then(() => Promise.all(keys.map(key => legacy.remove(key))))
+            .then(() => saved);
+    });
+}
+
+// Pick the storage adapter for this browser and load the saved data
+function openStorage() {
+    if (typeof indexedDB === 'undefined') {
+        return loadStorageAdapter(createLocalStorageAdapter());
+    }
+
+    return openIndexedDBAdapter()
+        .then(loadStorageAdapter)
+        .then(loaded => migrateFromLocalStorage(loaded.adapter, loaded.data).then(data => ({ adapter: loaded.adapter, data: data })))
+        .catch(error => {
+            console.error('IndexedDB is unavailable, falling back to localStorage:', error);
+            return loadStorageAdapter(createLocalStorageAdapter());
+        });
+}
+
+// Load saved data into memory; wait for this once per page before using the functions below
+// Resolves to the name of the adapter in use (or null when no browser storage can be used).
+// Pass an adapter to use it instead of IndexedDB / localStorage.
+function initStorage(adapter) {
+    if (!storageReady) {
+        listenForStorageChanges();
+        storageReady = (adapter ? loadStorageAdapter(adapter) : openStorage())
+            .then(loaded => {
+                if (loaded.data[ENCRYPTION_KEY]) {
+                    lockedStorage = loaded;
+                    return showUnlockScreen();
+                }
+                return openLoadedStorage(loaded.adapter, loaded.data);
+            })
+            .catch(error => {
+                console.error('Error loading saved data:', error);
+                storageSchemaStatus = 'Saved data could not be loaded: browser storage is unavailable';
+                showNotification(storageSchemaStatus, 'error');
+                return null;
+            });
+    }
+    return storageReady;
+}
+
+// Tell the other open tabs which keys were saved (null: everything changed, e.g. cleared or encryption changed)
+function announceStorageChange(keys) {
+    if (storageChannel) {
+        storageChannel.postMessage({ keys: keys });
+    }
+}
+
+// Re-read keys another tab saved, so a later save here does not overwrite its changes
+// Each tab keeps its own active profile. When everything changed, the adapter in use here may be
+// out of date as well (encryption turned on or off, a new passphrase), so the page is reloaded.
+function refreshStorageKeys(keys) {
+    if (!keys) {
+        if (typeof location !== 'undefined') {
+            location.reload();
+        }
+        return Promise.resolve();
+    }
+    // Locked or not loaded yet: the data is read fresh once it is opened
+    if (!storageAdapter) {
+        return Promise.resolve();
+    }
+
+    const adapter = storageAdapter;
+    return queueStorageTask(() => adapter.load()).then(data => {
+        keys.filter(key => key !== ACTIVE_PROFILE_KEY).forEach(key => {
+            if (data[key] === undefined) {
+                delete storageCache[key];
+            } else {
+                storageCache[key] = data[key];
+            }
+        });
+    }).catch(error => {
+        console.error('Error reading data saved in another tab:', error);
+    });
+}
+
+// Keep the cache up to date with saves made in other tabs
+function listenForStorageChanges() {
+    if (storageChannel || typeof BroadcastChannel === 'undefined') {
+        return;
+    }
+    storageChannel = new BroadcastChannel(STORAGE_CHANNEL_NAME);
+    storageChannel.onmessage = event => refreshStorageKeys(event.data.keys);
+}
+
+// Start using loaded data
+function openLoadedStorage(adapter, data) {
+    storageAdapter = adapter;
+    storageCache = data;
+    // Upgrades older data, or records why newer data cannot be used
+    getStorageSchemaError();
+    return storageAdapter.name;
+}
+
+// Check whether saved data is encrypted
+function isStorageEncrypted() {
+    return storageEncryption !== null || lockedStorage !== null;
+}
+
+// Check whether saved data is encrypted and waiting for its passphrase
+function isStorageLocked() {
+    return lockedStorage !== null;
+}
+
+// Open encrypted data with its passphrase
+function unlockStorage(passphrase) {
+    if (!lockedStorage) {
+        return Promise.reject(new Error('Saved data is not locked'));
+    }
+
+    const base = lockedStorage.adapter;
+    const settings = lockedStorage.data[ENCRYPTION_KEY];
+    return unwrapDataKey(settings, passphrase).then(dataKey => {
+        const adapter = createEncryptedStorageAdapter(base, dataKey, settings);
+        return adapter.load().then(data => {
+            lockedStorage = null;
+            storageEncryption = { base: base, dataKey: dataKey, adapter: adapter };
+            return openLoadedStorage(adapter, data);
+        });
+    });
+}
+
+// Erase encrypted data whose passphrase has been forgotten and start afresh
+function eraseLockedStorage() {
+    if (!lockedStorage) {
+        return Promise.reject(new Error('Saved data is not locked'));
+    }
+
+    const base = lockedStorage.adapter;
+    return base.clear().then(() => {
+        lockedStorage = null;
+        const name = openLoadedStorage(base, {});
+        queueStorageWrite(() => announceStorageChange(null));
+        return name;
+    });
+}
+
+// Show a screen asking for the passphrase; resolves once saved data is unlocked (or erased)
+function showUnlockScreen() {
+    if (typeof document === 'undefined') {
+        return Promise.resolve(null);
+    }
+
+    return new Promise(resolve => {
+        const screen = document.createElement('div');
+        screen.className = 'modal';
+        screen.style.display = 'flex';
+        screen.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>🔒 Unlock Your Data</h2>
+                </div>
+                <div class="modal-body">
+                    <form id="unlock-form">
+                        <div class="form-group">
+                            <label for="unlock-passphrase">Passphrase</label>
+                            <input type="password" id="unlock-passphrase" autocomplete="current-password" required>
+                            <small>Your saved data is encrypted. Enter your passphrase to open it.</small>
+                        </div>
+                        <div id="unlock-message"></div>
+                        <div class="form-actions">
+                            <button type="submit" class="btn btn-primary">Unlock</button>
+                            <button type="button" id="unlock-erase" class="btn btn-outline">Forgot Passphrase</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(screen);
+        document.getElementById('unlock-passphrase').focus();
+
+        const finish = name => {
+            screen.remove();
+            resolve(name);
+        };
+
+        document.getElementById('unlock-form').addEventListener('submit', function(e) {
+            e.preventDefault();
+            const button = this.querySelector('button[type="submit"]');
+            button.disabled = true;
+            unlockStorage(document.getElementById('unlock-passphrase').value)
+                .then(finish)
+                .catch(error => {
+                    button.disabled = false;
+                    document.getElementById('unlock-message').innerHTML = `<p class="error">${error.message}</p>`;
+                });
+        });
+
+        document.getElementById('unlock-erase').addEventListener('click', function() {
+            if (confirm('Without the passphrase your data cannot be recovered. Erase all saved data and start again?')) {
+                eraseLockedStorage().then(finish);
+            }
+        });
+    });
+}
+
+// Rewrite every saved value through an adapter (used when encryption is turned on or off)
+function rewriteStorage(adapter) {
+    return Promise.all(Object.keys(storageCache).map(key => adapter.set(key, storageCache[key])));
+}
+
+// Turn on encryption with a new passphrase
+function enableEncryption(passphrase) {
+    return Promise.resolve().then(() => {
+        if (!storageCache) {
+            throw new Error('Saved data has not been loaded yet: wait for initStorage() first');
+        }
+        if (storageEncryption) {
+            throw new Error('Saved data is already encrypted');
+        }
+        validatePassphrase(passphrase);
+        return getWebCrypto().generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    }).then(dataKey => wrapDataKey(dataKey, passphrase).then(settings => {
+        const base = storageAdapter;
+        const adapter = createEncryptedStorageAdapter(base, dataKey, settings);
+        storageEncryption = { base: base, dataKey: dataKey, adapter: adapter };
+        storageAdapter = adapter;
+        // Settings first: any value not yet rewritten when this is interrupted is still read as it is
+        return queueStorageTask(() => base.set(ENCRYPTION_KEY, settings).then(() => rewriteStorage(adapter)));
+    })).then(() => {
+        announceStorageChange(null);
+        return true;
+    });
+}
+
+// Change the passphrase (re-wraps the data key; the data itself is not rewritten)
+function changePassphrase(currentPassphrase, newPassphrase) {
+    return Promise.resolve().then(() => {
+        if (!storageEncryption) {
+            throw new Error('Saved data is not encrypted');
+        }
+        validatePassphrase(newPassphrase);
+        return unwrapDataKey(storageEncryption.adapter.settings, currentPassphrase);
+    }).then(() => wrapDataKey(storageEncryption.dataKey, newPassphrase)).then(settings => {
+        storageEncryption.adapter.settings = settings;
+        return queueStorageTask(() => storageEncryption.base.set(ENCRYPTION_KEY, settings));
+    }).then(() => {
+        announceStorageChange(null);
+        return true;
+    });
+}
+
+// Turn off encryption, saving everything unencrypted again
+function disableEncryption(passphrase) {
+    return Promise.resolve().then(() => {
+        if (!storageEncryption) {
+            throw new Error('Saved data is not encrypted');
+        }
+        return unwrapDataKey(storageEncryption.adapter.settings, passphrase);
+    }).then(() => {
+        const base = storageEncryption.base;
+        storageEncryption = null;
+        storageAdapter = base;
+        // Settings last, so data is never left encrypted without them
+        return queueStorageTask(() => rewriteStorage(base).then(() => base.remove(ENCRYPTION_KEY)));
+    }).then(() => {
+        announceStorageChange(null);
+        return true;
+    });
+}
+
+// Get the name of the storage adapter in use (null until initStorage has finished)
+function getStorageBackend() {
+    return storageAdapter ? storageAdapter.name : null;
+}
+
+// Save a write in the background, after any earlier writes; resolves to whether it was saved
+function queueStorageWrite(write) {
+    storageWriteQueue = storageWriteQueue.then(write).then(() => true, error => {
+        console.error('Error saving data:', error);
+        showNotification('Your latest changes could not be saved: browser storage is full or unavailable', 'error');
+        return false;
+    });
+    return storageWriteQueue;
+}
+
+// Run a storage task after any earlier writes; unlike queueStorageWrite, the result and any error go to the caller
+function queueStorageTask(task) {
+    const result = storageWriteQueue.then(task);
+    storageWriteQueue = result.catch(error => {
+        console.error('Error saving data:', error);
+    });
+    return result;
+}
+
+// Wait until every write so far has been saved
+function flushStorage() {
+    return storageWriteQueue;
+}
+
+// Copy a stored value so callers cannot change the cached data in place
+function cloneStorageValue(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    return typeof structuredClone === 'function' ? structuredClone(value) : JSON.parse(JSON.stringify(value));
+}
+
+// Update the cached value of a key and save it in the background (through the adapter in use
+// now, so earlier writes are not re-routed when encryption is turned on or off); resolves to whether it was saved
+function writeStorageValue(key, value) {
+    const stored = cloneStorageValue(value);
+    const adapter = storageAdapter;
+    storageCache[key] = stored;
+    return queueStorageWrite(() => adapter.set(key, stored).then(() => announceStorageChange([key])));
+}
+
+// Remove a key from the cache and delete it in the background
+function deleteStorageValue(key) {
+    const adapter = storageAdapter;
+    delete storageCache[key];
+    queueStorageWrite(() => adapter.remove(key).then(() => announceStorageChange([key])));
+}
+
+// Normalise a SIP scenario to monthlyAmount / period / expectedReturns (older saves used amount / years / returns)
+function normalizeSIPScenario(scenario) {
+    const { amount, years, returns, ...rest } = scenario;
+    return {
+        ...rest,
+        monthlyAmount: scenario.monthlyAmount !== undefined ? scenario.monthlyAmount : amount,
+        period: scenario.period !== undefined ? scenario.period : years,
+        expectedReturns: scenario.expectedReturns !== undefined ? scenario.expectedReturns : returns
+    };
+}
+
+// Refuse data saved with a newer schema than this version of the app understands
+function assertSupportedSchema(version) {
+    if (version > STORAGE_SCHEMA_VERSION) {
+        throw new Error(`This data was saved by a newer version of the app (schema version ${version}; this version understands up to ${STORAGE_SCHEMA_VERSION}). Update the app to open it.`);
+    }
+}
+
+// Upgrade a data object (shaped like exportAllData) from an older schema version to the current one
+function migrateData(data, fromVersion = 1) {
+    // There is one migration per whole version, so anything else cannot be upgraded
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+        throw new Error(`Unsupported backup schema version: ${JSON.stringify(fromVersion)}`);
+    }
+    assertSupportedSchema(fromVersion);
+
+    let migrated = { ...data };
+    for (let version = fromVersion; version < STORAGE_SCHEMA_VERSION; version++) {
+        migrated = STORAGE_MIGRATIONS[version](migrated);
+    }
+    migrated.schemaVersion = STORAGE_SCHEMA_VERSION;
+    return migrated;
+}
+
+// Get the schema version of the stored data (data saved before versioning is version 1)
+function getStoredSchemaVersion() {
+    return parseInt(storageCache[SCHEMA_VERSION_KEY]) || 1;
+}
+
+// Upgrade stored data to the current schema once per page load; refuse data from a newer schema
+function ensureStorageSchema() {
+    if (storageSchemaStatus === true) {
+        return;
+    }
+    if (storageSchemaStatus) {
+        throw new Error(storageSchemaStatus);
+    }
+    if (!storageCache) {
+        throw new Error('Saved data has not been loaded yet: wait for initStorage() first');
+    }
+
+    const storedVersion = getStoredSchemaVersion();
+    try {
+        assertSupportedSchema(storedVersion);
+    } catch (error) {
+        // Nothing is read or written from now on, so the newer data is left intact
+        storageSchemaStatus = error.message;
+        showNotification(storageSchemaStatus, 'error');
+        throw error;
+    }
+
+    if (storedVersion < STORAGE_SCHEMA_VERSION) {
+        // Before version 3 everything was saved at the top level; since then profile data is saved per profile
+        const profileIds = storedVersion < 3 ? [] : (storageCache[PROFILES_KEY] || []).map(profile => profile.id);
+        [null].concat(profileIds).forEach(profileId => {
+            const keys = STORAGE_KEYS.filter(key => storedVersion < 3 || PROFILE_KEYS.includes(key) === (profileId !== null));
+            const storedKey = key => profileId !== null ? getProfileStorageKey(profileId, key) : key;
+            const data = {};
+            keys.forEach(key => {
+                const value = storageCache[storedKey(key)];
+                if (value !== undefined && value !== null) {
+                    data[key] = value;
+                }
+            });
+
+            const migrated = migrateData(data, storedVersion);
+            Object.keys(data).forEach(key => {
+                writeStorageValue(storedKey(key), migrated[key]);
+            });
+        });
+    }
+
+    ensureProfiles();
+    if (storageCache[SCHEMA_VERSION_KEY] !== STORAGE_SCHEMA_VERSION) {
+        writeStorageValue(SCHEMA_VERSION_KEY, STORAGE_SCHEMA_VERSION);
+    }
+    storageSchemaStatus = true;
+}
+
+// Make sure a profile is active, creating the first one (holding any data saved before profiles) if needed
+function ensureProfiles() {
+    let profiles = storageCache[PROFILES_KEY] || [];
+    if (profiles.length === 0) {
+        const profile = { id: generateId(), name: DEFAULT_PROFILE_NAME, dateOfBirth: null, timestamp: Date.now() };
+        profiles = [profile];
+        writeStorageValue(PROFILES_KEY, profiles);
+        PROFILE_KEYS.forEach(key => {
+            if (storageCache[key] === undefined) return;
+            writeStorageValue(getProfileStorageKey(profile.id, key), storageCache[key]);
+            deleteStorageValue(key);
+        });
+    }
+    if (!profiles.some(profile => profile.id === storageCache[ACTIVE_PROFILE_KEY])) {
+        writeStorageValue(ACTIVE_PROFILE_KEY, profiles[0].id);
+    }
+}
+
+// Get the key a value is saved under: profile data belongs to the active profile
+function resolveStorageKey(key) {
+    return PROFILE_KEYS.includes(key) ? getProfileStorageKey(storageCache[ACTIVE_PROFILE_KEY], key) : key;
+}
+
+// Get the reason stored data cannot be used (null when it is fine)
+function getStorageSchemaError() {
+    try {
+        ensureStorageSchema();
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Get a copy of stored data
 function getStorageData(key) {
     try {
-        const data = localStorage.getItem(key);
-        return data ? JSON.parse(data) : null;
+        ensureStorageSchema();
+        return cloneStorageValue(storageCache[resolveStorageKey(key)]);
     } catch (error) {
-        console.error(`Error reading from localStorage for key "${key}":`, error);
+        console.error(`Error reading stored data for key "${key}":`, error);
         return null;
     }
 }
 
-// Set data to localStorage
+// Store data (saved in the background; see flushStorage)
 function setStorageData(key, value) {
     try {
-        localStorage.setItem(key, JSON.stringify(value));
+        ensureStorageSchema();
+        writeStorageValue(resolveStorageKey(key), value);
         return true;
     } catch (error) {
-        console.error(`Error writing to localStorage for key "${key}":`, error);
+        console.error(`Error writing stored data for key "${key}":`, error);
         return false;
     }
 }
 
-// Remove data from localStorage
+// Store data and wait for it to be saved; resolves to whether it was
+function saveStorageData(key, value) {
+    try {
+        ensureStorageSchema();
+        return writeStorageValue(resolveStorageKey(key), value);
+    } catch (error) {
+        console.error(`Error writing stored data for key "${key}":`, error);
+        return Promise.resolve(false);
+    }
+}
+
+// Remove stored data
 function removeStorageData(key) {
     try {
-        localStorage.removeItem(key);
+        ensureStorageSchema();
+        deleteStorageValue(resolveStorageKey(key));
         return true;
     } catch (error) {
-        console.error(`Error removing from localStorage for key "${key}":`, error);
+        console.error(`Error removing stored data for key "${key}":`, error);
         return false;
     }
 }
@@ -36,7 +929,7 @@ function removeStorageData(key) {
 // Save SIP scenario
 function saveSIPScenario(scenario) {
     const scenarios = getStorageData('sipScenarios') || [];
-    scenarios.push(scenario);
+    scenarios.push(normalizeSIPScenario(scenario));
     setStorageData('sipScenarios', scenarios);
     return true;
 }
@@ -104,9 +997,168 @@ function getRiskProfile() {
     return getStorageData('riskProfile') || null;
 }
 
+// Save goal plan (goals, monthly surplus and allocation method)
+function saveGoalPlan(plan) {
+    setStorageData('goalPlan', plan);
+    return true;
+}
+
+// Get goal plan
+function getGoalPlan() {
+    return getStorageData('goalPlan') || null;
+}
+
+// Save emergency fund settings
+function saveEmergencyFund(settings) {
+    setStorageData('emergencyFund', settings);
+    return true;
+}
+
+// Get emergency fund settings
+function getEmergencyFund() {
+    return getStorageData('emergencyFund') || null;
+}
+
+// Save user-defined asset classes (and overrides of the built-in ones)
+function saveAssetClasses(assetClasses) {
+    setStorageData('assetClasses', assetClasses);
+    return true;
+}
+
+// Get user-defined asset classes
+function getAssetClasses() {
+    return getStorageData('assetClasses') || [];
+}
+
+// Get all profiles (household members)
+function getProfiles() {
+    return getStorageData(PROFILES_KEY) || [];
+}
+
+// Get the id of the profile whose data the app is showing
+function getActiveProfileId() {
+    return getStorageData(ACTIVE_PROFILE_KEY);
+}
+
+// Get the active profile
+function getActiveProfile() {
+    const id = getActiveProfileId();
+    return getProfiles().find(profile => profile.id === id) || null;
+}
+
+// Check and tidy a profile's name and date of birth (YYYY-MM-DD, optional)
+function normalizeProfileDetails(details) {
+    const name = String(details.name || '').trim();
+    if (!name) {
+        throw new Error('Profile name is required');
+    }
+
+    const dateOfBirth = details.dateOfBirth || null;
+    if (dateOfBirth) {
+        const date = parseDateInput(dateOfBirth);
+        if (isNaN(date.getTime()) || date > new Date()) {
+            throw new Error('Date of birth must be a valid date in the past');
+        }
+    }
+    return { name: name, dateOfBirth: dateOfBirth };
+}
+
+// Add a profile (it starts with no data)
+function createProfile(details) {
+    const profile = { id: generateId(), ...normalizeProfileDetails(details), timestamp: Date.now() };
+    const profiles = getProfiles();
+    profiles.push(profile);
+    setStorageData(PROFILES_KEY, profiles);
+    return profile;
+}
+
+// Update a profile's name and date of birth
+function updateProfile(id, details) {
+    const profiles = getProfiles();
+    const index = profiles.findIndex(profile => profile.id === id);
+    if (index < 0) {
+        throw new Error('Profile not found');
+    }
+
+    profiles[index] = { ...profiles[index], ...normalizeProfileDetails(details) };
+    setStorageData(PROFILES_KEY, profiles);
+    return profiles[index];
+}
+
+// Delete a profile and all of its data (the last profile cannot be deleted)
+function deleteProfile(id) {
+    const profiles = getProfiles();
+    if (!profiles.some(profile => profile.id === id)) {
+        return false;
+    }
+    if (profiles.length === 1) {
+        throw new Error('The last profile cannot be deleted');
+    }
+
+    const remaining = profiles.filter(profile => profile.id !== id);
+    setStorageData(PROFILES_KEY, remaining);
+    PROFILE_KEYS.forEach(key => removeStorageData(getProfileStorageKey(id, key)));
+    if (getActiveProfileId() === id) {
+        switchProfile(remaining[0].id);
+    }
+    return true;
+}
+
+// Show another profile's data
+function switchProfile(id) {
+    if (!getProfiles().some(profile => profile.id === id)) {
+        throw new Error('Profile not found');
+    }
+    setStorageData(ACTIVE_PROFILE_KEY, id);
+    return true;
+}
+
+// Fill the header's profile switcher (#profile-switcher); picking another profile switches to it
+// and reloads the page once the switch is saved, so the whole page shows that profile's data
+function renderProfileSwitcher() {
+    const select = document.getElementById('profile-switcher');
+    if (!select) {
+        return;
+    }
+
+    const activeId = getActiveProfileId();
+    select.innerHTML = getProfiles().map(profile => `
+        <option value="${escapeHTML(profile.id)}" ${profile.id === activeId ? 'selected' : ''}>${escapeHTML(profile.name)}</option>
+    `).join('');
+    select.onchange = function() {
+        switchProfile(this.value);
+        flushStorage().then(() => window.location.reload());
+    };
+}
+
+// Get a profile's saved data for a key, whichever profile is active
+function getProfileData(profileId, key) {
+    return getStorageData(getProfileStorageKey(profileId, key));
+}
+
+// Get every profile with its portfolios, SIP scenarios and risk profile (for the household view)
+function getHouseholdData() {
+    return getProfiles().map(profile => ({
+        profile: profile,
+        portfolios: getProfileData(profile.id, 'portfolios') || [],
+        sipScenarios: getProfileData(profile.id, 'sipScenarios') || [],
+        riskProfile: getProfileData(profile.id, 'riskProfile')
+    }));
+}
+
 // Clear all data (use with caution)
 function clearAllData() {
-    localStorage.clear();
+    if (!storageCache) {
+        return false;
+    }
+    const adapter = storageAdapter;
+    storageCache = {};
+    queueStorageWrite(() => adapter.clear());
+    writeStorageValue(SCHEMA_VERSION_KEY, STORAGE_SCHEMA_VERSION);
+    ensureProfiles();
+    // Other tabs reload once the fresh profile has been saved
+    queueStorageWrite(() => announceStorageChange(null));
+    storageSchemaStatus = true;
     return true;
 }
 
@@ -116,47 +1168,356 @@ function exportAllData() {
         sipScenarios: getSIPScenarios(),
         portfolios: getPortfolios(),
         riskProfile: getRiskProfile(),
+        goalPlan: getGoalPlan(),
+        emergencyFund: getEmergencyFund(),
+        assetClasses: getAssetClasses(),
         comparisonSIPs: getStorageData('comparisonSIPs') || [],
+        schemaVersion: STORAGE_SCHEMA_VERSION,
         exportDate: new Date().toISOString()
     };
     return data;
 }
 
-// Import data
-function importData(data) {
+// Encrypt exported data (see exportAllData) into a backup protected by a passphrase
+function encryptExport(data, passphrase) {
+    const salt = getRandomBytes(16);
+    return Promise.resolve()
+        .then(() => validatePassphrase(passphrase))
+        .then(() => derivePassphraseKey(passphrase, salt))
+        .then(key => encryptJSON(key, data))
+        .then(envelope => ({
+            format: ENCRYPTED_EXPORT_FORMAT,
+            version: 1,
+            kdf: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: PBKDF2_ITERATIONS,
+            salt: bytesToBase64(salt),
+            cipher: envelope.cipher,
+            iv: envelope.iv,
+            data: envelope.data,
+            exportDate: data.exportDate
+        }));
+}
+
+// Check an import file is an encrypted backup
+function isEncryptedExport(data) {
+    return !!data && data.format === ENCRYPTED_EXPORT_FORMAT;
+}
+
+// Decrypt an encrypted backup with its passphrase, giving data for previewImport
+function decryptExport(file, passphrase) {
+    if (!passphrase) {
+        return Promise.reject(new Error('This backup is encrypted: enter its passphrase to import it'));
+    }
+    return derivePassphraseKey(passphrase, base64ToBytes(file.salt), file.iterations)
+        .then(key => decryptJSON(key, file).catch(() => {
+            throw new Error('Incorrect passphrase, or the backup file is damaged');
+        }));
+}
+
+// Readable names of the data sections, for import previews and errors
+const STORAGE_LABELS = {
+    sipScenarios: 'SIP scenarios',
+    portfolios: 'Portfolios',
+    riskProfile: 'Risk profile',
+    goalPlan: 'Goal plan',
+    emergencyFund: 'Emergency fund',
+    assetClasses: 'Asset classes',
+    comparisonSIPs: 'Comparison SIPs'
+};
+
+// How imported records are matched with saved ones: by id, or by a hash of their content
+const IMPORT_COLLECTIONS = {
+    sipScenarios: 'hash',
+    comparisonSIPs: 'hash',
+    portfolios: 'id',
+    assetClasses: 'id'
+};
+
+// Check a number is a finite number (optionally above zero)
+function isValidNumber(value, positive = false) {
+    return typeof value === 'number' && isFinite(value) && (!positive || value > 0);
+}
+
+// Check a saved or imported SIP scenario
+function validateSIPScenarioRecord(scenario) {
+    const errors = [];
+    if (!isValidNumber(scenario.monthlyAmount, true)) errors.push('monthly amount must be a positive number');
+    if (!isValidNumber(scenario.period, true)) errors.push('period must be a positive number of years');
+    if (!isValidNumber(scenario.expectedReturns, true)) errors.push('expected returns must be a positive number');
+    if (scenario.lumpSum !== undefined && (!isValidNumber(scenario.lumpSum) || scenario.lumpSum < 0)) errors.push('initial investment must be a number of at least 0');
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    // Run it through the calculator (calculator.js) as the pages do, which checks the
+    // schedule, step-up, fund costs and tax settings, so a saved scenario can always be shown
+    const options = {
+        stepUp: scenario.stepUp,
+        inflationRate: scenario.inflationRate,
+        tax: scenario.tax,
+        expenseRatio: scenario.expenseRatio,
+        exitLoad: scenario.exitLoad,
+        frequency: scenario.frequency,
+        timing: scenario.timing
+    };
     try {
-        if (data.sipScenarios) {
-            setStorageData('sipScenarios', data.sipScenarios);
+        if (scenario.lumpSum > 0) {
+            calculateSIPWithLumpSum(scenario.lumpSum, scenario.monthlyAmount, scenario.period, scenario.expectedReturns, options);
+        } else {
+            calculateSIP(scenario.monthlyAmount, scenario.period, scenario.expectedReturns, options);
+        }
+    } catch (error) {
+        errors.push(error.message);
+    }
+    return errors;
+}
+
+// Per-record checks for imported data; each returns the problems found (empty when the record is valid)
+const IMPORT_VALIDATORS = {
+    sipScenarios: validateSIPScenarioRecord,
+    comparisonSIPs: validateSIPScenarioRecord,
+    portfolios: function(portfolio) {
+        const errors = [];
+        if (portfolio.id === undefined || portfolio.id === null || portfolio.id === '') errors.push('id is missing');
+        if (!portfolio.name || typeof portfolio.name !== 'string') errors.push('name is missing');
+        if (!portfolio.assets || typeof portfolio.assets !== 'object' || Array.isArray(portfolio.assets)) errors.push('assets must be an object');
+        if (portfolio.timeHorizon !== undefined && !isValidNumber(portfolio.timeHorizon, true)) errors.push('time horizon must be a positive number');
+        return errors;
+    },
+    // Same checks as the asset-class registry (normalizeAssetClass in planner.js), so a saved class can always be loaded
+    assetClasses: function(assetClass) {
+        try {
+            normalizeAssetClass(assetClass);
+            return [];
+        } catch (error) {
+            return [error.message];
+        }
+    },
+    riskProfile: function(profile) {
+        const errors = [];
+        if (!isValidNumber(profile.riskScore)) errors.push('risk score must be a number');
+        if (!profile.riskLevel || typeof profile.riskLevel !== 'string') errors.push('risk level is missing');
+        return errors;
+    },
+    goalPlan: function(plan) {
+        return Array.isArray(plan.goals) ? [] : ['goals must be a list'];
+    },
+    emergencyFund: function(settings) {
+        return isValidNumber(settings.monthlyExpenses, true) ? [] : ['monthly expenses must be a positive number'];
+    }
+};
+
+// Serialise a value with object keys sorted, so equal content always gives the same string
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Hash a record's content, ignoring when it was saved (used to spot duplicate scenarios)
+function hashRecord(record) {
+    const { timestamp, ...content } = record;
+    const text = stableStringify(content);
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16);
+}
+
+// Get the problems with one imported record
+function getImportRecordErrors(key, record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return ['must be an object'];
+    }
+    return IMPORT_VALIDATORS[key](record);
+}
+
+// Validate an import payload against the storage schema
+// Older exports are migrated first. Invalid records are left out and reported as
+// { key, index, message }; throws when the payload cannot be used at all.
+function validateImportData(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Import file must contain a JSON object');
+    }
+    if (isEncryptedExport(data)) {
+        throw new Error('This backup is encrypted: decrypt it with its passphrase first');
+    }
+
+    const migrated = migrateData(data, data.schemaVersion || 1);
+    const keys = STORAGE_KEYS.filter(key => migrated[key] !== undefined && migrated[key] !== null);
+    if (keys.length === 0) {
+        throw new Error('Import file does not contain any investment planner data');
+    }
+
+    const valid = {};
+    const errors = [];
+    keys.forEach(key => {
+        const value = migrated[key];
+        if (!IMPORT_COLLECTIONS[key]) {
+            const problems = getImportRecordErrors(key, value);
+            problems.forEach(message => errors.push({ key: key, index: null, message: message }));
+            if (problems.length === 0) {
+                valid[key] = value;
+            }
+            return;
         }
-        if (data.portfolios) {
-            setStorageData('portfolios', data.portfolios);
+
+        if (!Array.isArray(value)) {
+            errors.push({ key: key, index: null, message: 'must be a list' });
+            return;
         }
-        if (data.riskProfile) {
-            setStorageData('riskProfile', data.riskProfile);
+        valid[key] = value.filter((record, index) => {
+            const problems = getImportRecordErrors(key, record);
+            problems.forEach(message => errors.push({ key: key, index: index, message: message }));
+            return problems.length === 0;
+        });
+    });
+
+    return { data: valid, errors: errors };
+}
+
+// Match imported records with saved ones and work out what the import adds, changes and removes
+function mergeImportRecords(existing, incoming, match, mode) {
+    const keyOf = record => match === 'id' ? String(record.id) : hashRecord(record);
+    const saved = new Map(existing.map(record => [keyOf(record), record]));
+    const imported = new Map(incoming.map(record => [keyOf(record), record]));
+    const changes = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+
+    imported.forEach((record, key) => {
+        if (!saved.has(key)) {
+            changes.added++;
+        } else if (match === 'hash' || stableStringify(saved.get(key)) === stableStringify(record)) {
+            changes.unchanged++;
+        } else {
+            changes.changed++;
         }
-        if (data.comparisonSIPs) {
-            setStorageData('comparisonSIPs', data.comparisonSIPs);
+    });
+
+    if (mode === 'replace') {
+        saved.forEach((record, key) => {
+            if (!imported.has(key)) changes.removed++;
+        });
+        return { records: Array.from(imported.values()), changes: changes };
+    }
+
+    // Merging keeps saved records in place, updates those matched by id and appends new ones
+    const records = existing.map(record => match === 'id' && imported.has(keyOf(record)) ? imported.get(keyOf(record)) : record);
+    imported.forEach((record, key) => {
+        if (!saved.has(key)) records.push(record);
+    });
+    return { records: records, changes: changes };
+}
+
+// Preview an import without saving anything
+// 'merge' combines the file with the saved data (portfolios and asset classes matched by id,
+// scenarios de-duplicated by content); 'replace' swaps each section the file contains.
+function previewImport(data, mode = 'merge') {
+    if (mode !== 'merge' && mode !== 'replace') {
+        throw new Error('Import mode must be "merge" or "replace"');
+    }
+
+    const validation = validateImportData(data);
+    const result = {};
+    const changes = {};
+
+    Object.keys(validation.data).forEach(key => {
+        const incoming = validation.data[key];
+        const existing = getStorageData(key);
+
+        if (IMPORT_COLLECTIONS[key]) {
+            const saved = Array.isArray(existing) ? existing.filter(record => record && typeof record === 'object') : [];
+            const merged = mergeImportRecords(saved, incoming, IMPORT_COLLECTIONS[key], mode);
+            result[key] = merged.records;
+            changes[key] = merged.changes;
+        } else {
+            const same = existing !== null && stableStringify(existing) === stableStringify(incoming);
+            result[key] = incoming;
+            changes[key] = {
+                added: existing === null ? 1 : 0,
+                changed: existing !== null && !same ? 1 : 0,
+                removed: 0,
+                unchanged: same ? 1 : 0
+            };
+        }
+    });
+
+    return { mode: mode, data: result, changes: changes, errors: validation.errors };
+}
+
+// Save a previewed import, keeping the data it overwrites so it can be undone
+// Resolves once everything is saved; when any of it cannot be, the import is rolled back and this rejects.
+function commitImport(preview) {
+    const keys = Object.keys(preview.data);
+    const previous = {};
+    keys.forEach(key => {
+        previous[key] = getStorageData(key);
+    });
+
+    const saves = [saveStorageData(LAST_IMPORT_KEY, { importedAt: new Date().toISOString(), mode: preview.mode, previous: previous })]
+        .concat(keys.map(key => saveStorageData(key, preview.data[key])));
+    return Promise.all(saves).then(saved => {
+        if (!saved.every(Boolean)) {
+            undoLastImport();
+            throw new Error('Import could not be saved: browser storage is full or unavailable');
         }
         return true;
-    } catch (error) {
-        console.error('Error importing data:', error);
+    });
+}
+
+// Get details of the last import that can be undone
+function getLastImport() {
+    return getStorageData(LAST_IMPORT_KEY) || null;
+}
+
+// Put back the data the last import overwrote
+function undoLastImport() {
+    const lastImport = getLastImport();
+    if (!lastImport) {
         return false;
     }
+
+    Object.keys(lastImport.previous).forEach(key => {
+        if (lastImport.previous[key] === null) {
+            removeStorageData(key);
+        } else {
+            setStorageData(key, lastImport.previous[key]);
+        }
+    });
+    removeStorageData(LAST_IMPORT_KEY);
+    return true;
+}
+
+// Import data, replacing each section in the file by default (see previewImport); resolves to whether it was imported
+function importData(data, options = {}) {
+    return Promise.resolve()
+        .then(() => commitImport(previewImport(data, options.mode || 'replace')))
+        .catch(error => {
+            console.error('Error importing data:', error);
+            return false;
+        });
 }
 
-// Get storage size (approximate)
+// Get storage size (approximate, as JSON)
 function getStorageSize() {
     let total = 0;
-    for (let key in localStorage) {
-        if (localStorage.hasOwnProperty(key)) {
-            total += localStorage[key].length + key.length;
-        }
-    }
+    Object.keys(storageCache || {}).forEach(key => {
+        total += JSON.stringify(storageCache[key]).length + key.length;
+    });
     return total;
 }
 
 // Check if storage is available
 function isStorageAvailable() {
+    if (typeof indexedDB !== 'undefined') {
+        return true;
+    }
     try {
         const test = '__storage_test__';
         localStorage.setItem(test, test);
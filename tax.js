@@ -0,0 +1,286 @@
+// Capital Gains Tax Functions
+
+/**
+ * Capital gains tax rules for mutual fund redemptions, per financial year
+ * Rates are percentages before cess. A null rate means the gain is added to
+ * income and taxed at the investor's slab rate. Add a new entry here when a
+ * budget changes the rates.
+ */
+const CAPITAL_GAINS_TAX_RULES = {
+    'FY2023-24': {
+        cess: 4,
+        equity: { longTermMonths: 12, stcgRate: 15, ltcgRate: 10, ltcgExemption: 100000 },
+        // Debt fund units bought after 1 April 2023 are slab-taxed irrespective of holding period
+        debt: { longTermMonths: 36, stcgRate: null, ltcgRate: null, ltcgExemption: 0 }
+    },
+    // Rates from the July 2024 budget (apply to redemptions on or after 23 July 2024)
+    'FY2024-25': {
+        cess: 4,
+        equity: { longTermMonths: 12, stcgRate: 20, ltcgRate: 12.5, ltcgExemption: 125000 },
+        debt: { longTermMonths: 24, stcgRate: null, ltcgRate: null, ltcgExemption: 0 }
+    },
+    'FY2025-26': {
+        cess: 4,
+        equity: { longTermMonths: 12, stcgRate: 20, ltcgRate: 12.5, ltcgExemption: 125000 },
+        debt: { longTermMonths: 24, stcgRate: null, ltcgRate: null, ltcgExemption: 0 }
+    }
+};
+
+const DEFAULT_TAX_SLAB = 30;
+
+/**
+ * Get the capital gains tax rules for a financial year
+ * @param {string} financialYear - Financial year key, e.g. 'FY2025-26' (default: latest available)
+ * @returns {Object} Tax rules for that year
+ */
+function getCapitalGainsTaxRules(financialYear) {
+    const year = financialYear || Object.keys(CAPITAL_GAINS_TAX_RULES).sort().pop();
+    const rules = CAPITAL_GAINS_TAX_RULES[year];
+    if (!rules) {
+        throw new Error(`No capital gains tax rules defined for ${year}`);
+    }
+    return { financialYear: year, ...rules };
+}
+
+/**
+ * Normalize tax settings for a redemption
+ * @param {Object} tax - Tax settings { assetClass: 'equity' | 'debt', slabRate, financialYear }
+ * @returns {Object} Normalized tax settings with the applicable rules
+ */
+function normalizeTaxOptions(tax = {}) {
+    const assetClass = tax.assetClass || 'equity';
+    if (assetClass !== 'equity' && assetClass !== 'debt') {
+        throw new Error('Tax asset class must be "equity" or "debt"');
+    }
+
+    const slabRate = tax.slabRate !== undefined && tax.slabRate !== null ? tax.slabRate : DEFAULT_TAX_SLAB;
+    if (slabRate < 0 || slabRate > 100) {
+        throw new Error('Tax slab rate must be between 0 and 100');
+    }
+
+    const rules = getCapitalGainsTaxRules(tax.financialYear);
+    return {
+        assetClass: assetClass,
+        slabRate: slabRate,
+        financialYear: rules.financialYear,
+        cess: rules.cess,
+        rules: rules[assetClass]
+    };
+}
+
+/**
+ * Build purchase lots for a SIP, one lot per installment
+ * The NAV starts at 1 and compounds at the period rate, so every lot
+ * grows exactly like calculateSIPValue.
+ * @param {number} monthlyAmount - Starting installment amount
+ * @param {number} months - Number of installments
+ * @param {number|Array} monthlyRate - Return per period (decimal), or one rate per period
+ * @param {Object} stepUp - Normalized step-up settings (optional)
+ * @param {Object} schedule - Normalized contribution schedule (default: monthly, beginning of period)
+ * @returns {Array} Lots { period, month, amount, nav, units } in purchase order
+ */
+function createSIPLots(monthlyAmount, months, monthlyRate, stepUp = null, schedule = null) {
+    const periodsPerYear = schedule ? schedule.periodsPerYear : 12;
+    const offset = schedule && schedule.timing === 'end' ? 1 : 0;
+    const lots = [];
+
+    for (let installment = 0; installment < months; installment++) {
+        const amount = getStepUpInstallment(monthlyAmount, Math.floor(installment / periodsPerYear), stepUp);
+        const period = installment + offset;
+        const nav = calculateGrowthFactor(monthlyRate, period);
+        lots.push({
+            period: period,
+            month: period * 12 / periodsPerYear,
+            amount: amount,
+            nav: nav,
+            units: amount / nav
+        });
+    }
+    return lots;
+}
+
+/**
+ * Redeem units first-in-first-out and work out the gain on each lot
+ * An exit load is deducted from the proceeds of lots still inside the
+ * exit-load window, which also lowers the taxable gain.
+ * @param {Array} lots - Purchase lots { month, nav, units } in purchase order
+ * @param {number} units - Units to redeem
+ * @param {number} redemptionMonth - Month of redemption (same scale as lot months)
+ * @param {number} redemptionNav - NAV at redemption
+ * @param {number} longTermMonths - Holding period beyond which a gain is long-term
+ * @param {Object} exitLoad - Exit load { rate, months } (optional)
+ * @returns {Array} Gains { month, holdingMonths, units, cost, exitLoad, proceeds, gain, term }
+ */
+function redeemUnitsFIFO(lots, units, redemptionMonth, redemptionNav, longTermMonths, exitLoad = null) {
+    const gains = [];
+    let remaining = units;
+
+    for (const lot of lots) {
+        if (remaining <= 1e-9) break;
+        const redeemed = Math.min(lot.units, remaining);
+        const holdingMonths = redemptionMonth - lot.month;
+        const cost = redeemed * lot.nav;
+        const grossProceeds = redeemed * redemptionNav;
+        const load = exitLoad && holdingMonths <= exitLoad.months ? grossProceeds * exitLoad.rate / 100 : 0;
+        const proceeds = grossProceeds - load;
+
+        gains.push({
+            month: lot.month,
+            holdingMonths: holdingMonths,
+            units: redeemed,
+            cost: cost,
+            exitLoad: load,
+            proceeds: proceeds,
+            gain: proceeds - cost,
+            term: holdingMonths > longTermMonths ? 'long' : 'short'
+        });
+        remaining -= redeemed;
+    }
+
+    if (remaining > 1e-6) {
+        throw new Error('Cannot redeem more units than were purchased');
+    }
+
+    return gains;
+}
+
+/**
+ * Calculate capital gains tax on a set of realised gains
+ * Short-term losses are set off against long-term gains; long-term losses
+ * can only reduce long-term gains.
+ * @param {Array} gains - Gains from redeemUnitsFIFO
+ * @param {Object} tax - Tax settings (see normalizeTaxOptions)
+ * @returns {Object} Gains by term, exemption used, tax by term and total tax
+ */
+function calculateCapitalGainsTax(gains, tax = {}) {
+    const settings = normalizeTaxOptions(tax);
+    const rules = settings.rules;
+
+    let shortTermGains = gains.filter(g => g.term === 'short').reduce((sum, g) => sum + g.gain, 0);
+    let longTermGains = gains.filter(g => g.term === 'long').reduce((sum, g) => sum + g.gain, 0);
+
+    let netShortTerm = shortTermGains;
+    let netLongTerm = longTermGains;
+    if (netShortTerm < 0) {
+        netLongTerm += netShortTerm;
+        netShortTerm = 0;
+    }
+    netLongTerm = Math.max(0, netLongTerm);
+
+    const exemptionUsed = Math.min(netLongTerm, rules.ltcgExemption || 0);
+    const taxableLongTerm = netLongTerm - exemptionUsed;
+
+    const stcgRate = rules.stcgRate !== null ? rules.stcgRate : settings.slabRate;
+    const ltcgRate = rules.ltcgRate !== null ? rules.ltcgRate : settings.slabRate;
+    const shortTermTax = netShortTerm * stcgRate / 100;
+    const longTermTax = taxableLongTerm * ltcgRate / 100;
+    const cess = (shortTermTax + longTermTax) * settings.cess / 100;
+
+    return {
+        assetClass: settings.assetClass,
+        financialYear: settings.financialYear,
+        slabRate: settings.slabRate,
+        stcgRate: stcgRate,
+        ltcgRate: ltcgRate,
+        shortTermGains: round(shortTermGains, 2),
+        longTermGains: round(longTermGains, 2),
+        ltcgExemptionUsed: round(exemptionUsed, 2),
+        taxableShortTermGains: round(netShortTerm, 2),
+        taxableLongTermGains: round(taxableLongTerm, 2),
+        shortTermTax: round(shortTermTax, 2),
+        longTermTax: round(longTermTax, 2),
+        cess: round(cess, 2),
+        totalTax: round(shortTermTax + longTermTax + cess, 2)
+    };
+}
+
+/**
+ * Calculate tax on fully redeeming a SIP at maturity
+ * Each installment is its own lot, so early installments can qualify as
+ * long-term while the last few months are still short-term.
+ * @param {number} monthlyAmount - Starting installment amount
+ * @param {number} months - Number of installments
+ * @param {number|Array} monthlyRate - Return per period (decimal), or one rate per period
+ * @param {Object} stepUp - Normalized step-up settings (optional)
+ * @param {Object} tax - Tax settings (see normalizeTaxOptions)
+ * @param {Object} exitLoad - Exit load { rate, months } (optional)
+ * @param {Object} schedule - Normalized contribution schedule (default: monthly, beginning of period)
+ * @returns {Object} Tax breakdown with exit load, post-tax value and post-tax annual return
+ */
+function calculateSIPTax(monthlyAmount, months, monthlyRate, stepUp = null, tax = {}, exitLoad = null, schedule = null) {
+    const settings = normalizeTaxOptions(tax);
+    const periodsPerYear = schedule ? schedule.periodsPerYear : 12;
+    const lots = createSIPLots(monthlyAmount, months, monthlyRate, stepUp, schedule);
+    const totalUnits = lots.reduce((sum, lot) => sum + lot.units, 0);
+    const redemptionNav = calculateGrowthFactor(monthlyRate, months);
+    const redemptionMonth = months * 12 / periodsPerYear;
+
+    const gains = redeemUnitsFIFO(lots, totalUnits, redemptionMonth, redemptionNav, settings.rules.longTermMonths, exitLoad);
+    const result = calculateCapitalGainsTax(gains, tax);
+    const proceeds = gains.reduce((sum, g) => sum + g.proceeds, 0);
+    const exitLoadAmount = gains.reduce((sum, g) => sum + g.exitLoad, 0);
+    const postTaxValue = proceeds - result.totalTax;
+
+    // Post-tax return uses the same monthly compounding convention as the pre-tax rate
+    const periodIRR = solveForRate(r => lots.reduce((npv, lot) => {
+        return npv - lot.amount / Math.pow(1 + r, lot.period);
+    }, postTaxValue / Math.pow(1 + r, months)));
+    const monthlyIRR = Math.pow(1 + periodIRR, periodsPerYear / 12) - 1;
+
+    return {
+        ...result,
+        exitLoad: round(exitLoadAmount, 2),
+        postTaxValue: round(postTaxValue, 2),
+        postTaxCAGR: round(monthlyIRR * 12 * 100, 2)
+    };
+}
+
+/**
+ * Yearly cap on deductible interest for a self-occupied home loan
+ * (Section 24(b), old tax regime)
+ */
+const HOME_LOAN_INTEREST_DEDUCTION_LIMIT = 200000;
+
+/**
+ * Calculate income tax saved by deducting home loan interest
+ * @param {Array} yearlyInterest - Interest paid in each year
+ * @param {number} slabRate - Income tax slab rate percentage (default: 30)
+ * @param {number} limit - Yearly cap on deductible interest (default: 2,00,000)
+ * @returns {Object} Yearly deduction and saving (including cess) with totals
+ */
+function calculateHomeLoanTaxSaving(yearlyInterest, slabRate = DEFAULT_TAX_SLAB, limit = HOME_LOAN_INTEREST_DEDUCTION_LIMIT) {
+    const rate = slabRate !== undefined && slabRate !== null ? slabRate : DEFAULT_TAX_SLAB;
+    const cap = limit !== undefined && limit !== null ? limit : HOME_LOAN_INTEREST_DEDUCTION_LIMIT;
+    const cess = getCapitalGainsTaxRules().cess;
+
+    const yearly = yearlyInterest.map((interest, index) => {
+        const deduction = Math.min(interest, cap);
+        return {
+            year: index + 1,
+            interest: round(interest, 2),
+            deduction: round(deduction, 2),
+            taxSaving: round(deduction * rate / 100 * (1 + cess / 100), 2)
+        };
+    });
+
+    return {
+        yearly: yearly,
+        totalDeduction: round(yearly.reduce((sum, y) => sum + y.deduction, 0), 2),
+        totalSaving: round(yearly.reduce((sum, y) => sum + y.taxSaving, 0), 2)
+    };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CAPITAL_GAINS_TAX_RULES,
+        getCapitalGainsTaxRules,
+        normalizeTaxOptions,
+        createSIPLots,
+        redeemUnitsFIFO,
+        calculateCapitalGainsTax,
+        calculateSIPTax,
+        HOME_LOAN_INTEREST_DEDUCTION_LIMIT,
+        calculateHomeLoanTaxSaving
+    };
+}
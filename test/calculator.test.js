@@ -0,0 +1,31 @@
+// SIP calculator tests (run with: node --test test/*.test.js)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const loadScripts = require('./load-scripts');
+
+loadScripts(['utils.js', 'calculator.js', 'tax.js']);
+
+test('an initial investment adds to every combined figure', () => {
+    const options = { expenseRatio: 1, tax: { assetClass: 'equity' } };
+    const sip = calculateSIP(10000, 10, 12, options);
+    const result = calculateSIPWithLumpSum(100000, 10000, 10, 12, options);
+
+    assert.strictEqual(result.totalInvested, sip.totalInvested + 100000);
+    assert.strictEqual(result.lumpSumValue, round(100000 * Math.pow(1.12, 10), 2));
+    assert.strictEqual(result.netMaturityValue, round(sip.netMaturityValue + 100000 * Math.pow(1.11, 10), 2));
+    assert.ok(result.totalTax > sip.totalTax);
+    assert.strictEqual(result.postTaxMaturityValue, round(result.netMaturityValue - result.totalTax, 2));
+    assert.strictEqual(result.postTaxReturns, round(result.postTaxMaturityValue - result.totalInvested, 2));
+    assert.ok(Number.isFinite(result.postTaxCAGR) && result.postTaxCAGR > 0 && result.postTaxCAGR < 11);
+});
+
+test('with a negligible initial investment the combined figures match the SIP alone', () => {
+    const options = { expenseRatio: 0.5, tax: { assetClass: 'equity' } };
+    const sip = calculateSIP(5000, 15, 12, options);
+    const result = calculateSIPWithLumpSum(0.01, 5000, 15, 12, options);
+
+    assert.ok(Math.abs(result.netMaturityValue - sip.netMaturityValue) < 1);
+    assert.ok(Math.abs(result.postTaxMaturityValue - sip.postTaxMaturityValue) < 1);
+    assert.ok(Math.abs(result.postTaxCAGR - sip.postTaxCAGR) < 0.01);
+});
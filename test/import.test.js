@@ -0,0 +1,75 @@
+// Backup import tests (run with: node --test test/*.test.js)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const loadScripts = require('./load-scripts');
+
+loadScripts(['utils.js', 'storage.js', 'calculator.js', 'tax.js', 'planner.js', 'analytics.js']);
+showNotification = () => {};
+
+// Storage adapter keeping everything in memory; keys ending in one of failingKeys cannot be saved
+function createMemoryAdapter() {
+    const saved = {};
+    return {
+        name: 'memory',
+        failingKeys: [],
+        load: () => Promise.resolve(JSON.parse(JSON.stringify(saved))),
+        set: function(key, value) {
+            return Promise.resolve().then(() => {
+                if (this.failingKeys.some(failing => key.endsWith(failing))) {
+                    throw new Error('Quota exceeded');
+                }
+                saved[key] = value;
+            });
+        },
+        remove: key => Promise.resolve().then(() => { delete saved[key]; }),
+        clear: () => Promise.resolve().then(() => Object.keys(saved).forEach(key => delete saved[key]))
+    };
+}
+
+const adapter = createMemoryAdapter();
+test.before(() => initStorage(adapter));
+
+const scenario = { name: 'Valid', monthlyAmount: 5000, period: 10, expectedReturns: 12 };
+
+test('SIP scenarios the calculator would reject are not imported', async () => {
+    const preview = previewImport({
+        schemaVersion: STORAGE_SCHEMA_VERSION,
+        sipScenarios: [
+            scenario,
+            { ...scenario, name: 'No returns', expectedReturns: 0 },
+            { ...scenario, name: 'Hourly', frequency: 'hourly' },
+            { ...scenario, name: 'Bad timing', timing: 'middle' },
+            { ...scenario, name: 'Bad step-up', stepUp: { type: 'double', value: 10 } },
+            { ...scenario, name: 'Costly', expenseRatio: 12 }
+        ]
+    });
+
+    assert.deepStrictEqual(preview.data.sipScenarios.map(s => s.name), ['Valid']);
+    assert.deepStrictEqual(preview.errors.map(error => error.index), [1, 2, 3, 4, 5]);
+    assert.ok(preview.errors.every(error => error.key === 'sipScenarios' && error.message));
+
+    await commitImport(preview);
+    assert.doesNotThrow(() => processAnalyticsData([], getSIPScenarios()));
+});
+
+test('an import that cannot be saved is rolled back', async () => {
+    saveSIPScenario({ ...scenario, name: 'Before' });
+    await flushStorage();
+    const before = getSIPScenarios();
+
+    const preview = previewImport({ schemaVersion: STORAGE_SCHEMA_VERSION, sipScenarios: [{ ...scenario, name: 'Imported' }] }, 'replace');
+    adapter.failingKeys = [':sipScenarios'];
+    await assert.rejects(commitImport(preview), /Import could not be saved/);
+    adapter.failingKeys = [];
+
+    assert.deepStrictEqual(getSIPScenarios(), before);
+    assert.strictEqual(getLastImport(), null);
+});
+
+test('a backup with an unknown schema version is rejected clearly', () => {
+    [1.5, -1, '2'].forEach(version => {
+        assert.throws(() => validateImportData({ schemaVersion: version, sipScenarios: [scenario] }), /Unsupported backup schema version/);
+    });
+    assert.throws(() => validateImportData({ schemaVersion: STORAGE_SCHEMA_VERSION + 1, sipScenarios: [scenario] }), /newer version of the app/);
+});
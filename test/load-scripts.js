@@ -0,0 +1,15 @@
+// Load the app's scripts for tests
+// In the browser the scripts share one global scope, so they are run in one here too.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Tests run in one process with no other tabs to tell about saves (see listenForStorageChanges)
+delete globalThis.BroadcastChannel;
+
+module.exports = function loadScripts(files) {
+    files.forEach(file => {
+        vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), { filename: file });
+    });
+};
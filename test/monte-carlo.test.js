@@ -0,0 +1,46 @@
+// Monte Carlo simulation tests (run with: node --test test/*.test.js)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const loadScripts = require('./load-scripts');
+
+loadScripts(['utils.js', 'calculator.js', 'tax.js', 'planner.js']);
+
+const portfolio = {
+    name: 'Test',
+    timeHorizon: 10,
+    targetAmount: 2500000,
+    assets: {
+        sip: { amount: 10000, returns: 12 },
+        bonds: { amount: 200000, returns: 7 }
+    }
+};
+
+test('the same seed gives the same percentiles', () => {
+    const first = runMonteCarloSimulation(portfolio, { simulations: 200, seed: 7 });
+    const second = runMonteCarloSimulation(portfolio, { simulations: 200, seed: 7 });
+
+    assert.deepStrictEqual(first.percentiles, second.percentiles);
+    assert.strictEqual(first.probabilityOfSuccess, second.probabilityOfSuccess);
+});
+
+test('a different seed gives different paths', () => {
+    const first = runMonteCarloSimulation(portfolio, { simulations: 200, seed: 7 });
+    const second = runMonteCarloSimulation(portfolio, { simulations: 200, seed: 8 });
+
+    assert.notDeepStrictEqual(first.percentiles, second.percentiles);
+});
+
+test('with no volatility every percentile is the deterministic projection', () => {
+    const result = runMonteCarloSimulation(portfolio, { simulations: 50, volatility: { sip: 0, bonds: 0 } });
+
+    result.labels.forEach((label, year) => {
+        const expected = calculatePortfolioReturns({ ...portfolio, timeHorizon: year + 1 });
+        ['p10', 'p50', 'p90', 'mean'].forEach(band => {
+            assert.ok(
+                Math.abs(result.percentiles[band][year] - expected) < 0.05,
+                `${label} ${band}: ${result.percentiles[band][year]} vs ${expected}`
+            );
+        });
+    });
+});
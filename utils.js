@@ -40,6 +40,23 @@ function formatDate(date) {
     });
 }
 
+// Format date as YYYY-MM-DD in local time (for date inputs)
+function toDateInputValue(date) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+}
+
+// Parse a YYYY-MM-DD value as a local date (new Date() would treat it as UTC)
+function parseDateInput(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+    return new Date(value);
+}
+
 // Validate number input
 function validateNumber(value, min = 0, max = Infinity) {
     const num = parseFloat(value);
@@ -149,6 +166,16 @@ function isValidEmail(email) {
     return re.test(email);
 }
 
+// Escape text for use in HTML markup and attribute values
+function escapeHTML(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Show notification (simple alert for now, can be enhanced)
 function showNotification(message, type = 'info') {
     // This can be enhanced with a toast notification library
@@ -167,6 +194,52 @@ function calculateSimpleInterest(principal, rate, time) {
     return principal * (rate / 100) * time;
 }
 
+// Convert a future amount to today's purchasing power
+function adjustForInflation(amount, inflationRate, years) {
+    // PV = FV / (1 + i)^t
+    return amount / Math.pow(1 + (inflationRate / 100), years);
+}
+
+// Grow today's cost to its future value at a given inflation rate
+function inflateAmount(amount, inflationRate, years) {
+    // FV = PV × (1 + i)^t
+    return amount * Math.pow(1 + (inflationRate / 100), years);
+}
+
+// Real (inflation-adjusted) annual rate using the Fisher equation
+function calculateRealReturnRate(nominalRate, inflationRate) {
+    return ((1 + nominalRate / 100) / (1 + inflationRate / 100) - 1) * 100;
+}
+
+// Seeded pseudo-random generator (mulberry32), returns numbers in [0, 1)
+function createSeededRandom(seed = Date.now()) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Standard normal sample using the Box-Muller transform
+function randomNormal(random = Math.random) {
+    let u = 0;
+    while (u === 0) u = random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Percentile of a sorted array using linear interpolation (p in 0-100)
+function calculatePercentile(sortedValues, p) {
+    if (!sortedValues || sortedValues.length === 0) return 0;
+    const index = (p / 100) * (sortedValues.length - 1);
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (index - lower);
+}
+
 // Parse number from input
 function parseNumber(value, defaultValue = 0) {
     const parsed = parseFloat(value);